@@ -4,6 +4,15 @@ const cors = require("cors");
 const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
 const admin = require("firebase-admin");
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const PDFDocument = require("pdfkit");
+const ExcelJS = require("exceljs");
+const { EventEmitter, once } = require("events");
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const multer = require("multer");
+const crypto = require("crypto");
+const { Readable } = require("stream");
 
 const port = process.env.PORT || 3000;
 
@@ -31,20 +40,1008 @@ app.use(
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
   })
 );
-app.use(express.json());
+// Keep the raw body around so the Stripe webhook can verify its signature
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+
+// Verify a Firebase ID token for a live account. checkRevoked refuses
+// tokens of disabled or signed-out users at once instead of letting them
+// work until they expire, and soft-deleted users are refused as well.
+// Returns { decoded }, or { message } to send with a 401.
+const authenticateToken = async (token) => {
+  if (!token) return { message: "Unauthorized Access!" };
+
+  let decoded;
+  try {
+    decoded = await admin.auth().verifyIdToken(token, true);
+  } catch (err) {
+    if (err.code === "auth/user-disabled") {
+      return { message: "Account is deactivated" };
+    }
+    if (err.code === "auth/id-token-revoked") {
+      return { message: "Session was revoked, please sign in again" };
+    }
+    return { message: "Unauthorized Access!", err };
+  }
+
+  const deactivated = await client
+    .db("etuitionDB")
+    .collection("users")
+    .findOne(
+      { email: decoded.email, deletedAt: { $ne: null } },
+      { projection: { _id: 1 } }
+    );
+  if (deactivated) return { message: "Account is deactivated" };
+
+  return { decoded };
+};
 
 // JWT Middleware
 const verifyJWT = async (req, res, next) => {
   const token = req?.headers?.authorization?.split(" ")[1];
-  if (!token) return res.status(401).send({ message: "Unauthorized Access!" });
-
   try {
-    const decoded = await admin.auth().verifyIdToken(token);
+    const { decoded, ...failure } = await authenticateToken(token);
+    if (!decoded) return res.status(401).send(failure);
     req.tokenEmail = decoded.email;
     next();
-  } catch (err) {
-    return res.status(401).send({ message: "Unauthorized Access!", err });
+  } catch (error) {
+    console.error("Error verifying token:", error);
+    res.status(500).send({ message: "Failed to verify token" });
+  }
+};
+
+// Date Filters
+// Exclusive upper bound for a ?to= filter. A date-only value such as
+// 2026-01-31 takes in that whole day (UTC), not just its first instant.
+const dateRangeEnd = (to) => {
+  const end = new Date(to);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCDate(end.getUTCDate() + 1);
+  else end.setTime(end.getTime() + 1);
+  return end;
+};
+
+// Schema Validation
+// Each field: { type: "string" | "number" | "integer", required, enum, min,
+// max, maxLength, default }, or { type: "list", items: <field rule>,
+// maxItems } for arrays (a comma-separated string is accepted too).
+// validateSchema coerces values to their declared type and returns
+// field-level errors instead of throwing. Unknown keys are errors unless
+// stripUnknown is set, in which case they're dropped.
+const coerceField = (rule, raw) => {
+  if (rule.type === "list") {
+    const items = Array.isArray(raw)
+      ? raw
+      : typeof raw === "string"
+        ? raw.split(",")
+        : null;
+    if (!items) return { error: "must be a list" };
+
+    const value = [];
+    const seen = new Set();
+    for (const [i, item] of items.entries()) {
+      const result = coerceField(rule.items, item);
+      if (result.error) return { error: `item ${i + 1} ${result.error}` };
+      const key = String(result.value).toLowerCase();
+      if (result.value !== "" && !seen.has(key)) {
+        seen.add(key);
+        value.push(result.value);
+      }
+    }
+    if (rule.maxItems && value.length > rule.maxItems) {
+      return { error: `must have at most ${rule.maxItems} items` };
+    }
+    return { value };
+  }
+
+  if (rule.type === "number" || rule.type === "integer") {
+    const value =
+      typeof raw === "string" ? Number(raw.replace(/[,\s]/g, "")) : raw;
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return { error: "must be a number" };
+    }
+    if (rule.type === "integer" && !Number.isInteger(value)) {
+      return { error: "must be a whole number" };
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return { error: `must be at least ${rule.min}` };
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return { error: `must be at most ${rule.max}` };
+    }
+    return { value };
+  }
+
+  if (typeof raw !== "string" && typeof raw !== "number") {
+    return { error: "must be text" };
+  }
+  let value = String(raw).trim();
+  if (rule.enum) {
+    const match = rule.enum.find(
+      (option) => option.toLowerCase() === value.toLowerCase()
+    );
+    if (!match) return { error: `must be one of ${rule.enum.join(", ")}` };
+    value = match;
+  }
+  if (rule.maxLength && value.length > rule.maxLength) {
+    return { error: `must be at most ${rule.maxLength} characters` };
+  }
+  return { value };
+};
+
+const validateSchema = (
+  schema,
+  body,
+  { partial = false, readOnly = [], stripUnknown = false } = {}
+) => {
+  const value = {};
+  const errors = {};
+
+  for (const key of Object.keys(body || {})) {
+    if (readOnly.includes(key)) errors[key] = "is set by the server";
+    else if (!schema[key] && !stripUnknown) errors[key] = "is not allowed";
+  }
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const raw = body?.[key];
+    const missing = raw === undefined || raw === null || raw === "";
+
+    if (missing) {
+      if (partial) continue;
+      if (rule.required) errors[key] = "is required";
+      else if (rule.default !== undefined) value[key] = rule.default;
+      continue;
+    }
+
+    const result = coerceField(rule, raw);
+    if (result.error) errors[key] = result.error;
+    else value[key] = result.value;
+  }
+
+  return { value, errors: Object.keys(errors).length ? errors : null };
+};
+
+const TUITION_SCHEMA = {
+  subject: { type: "string", required: true, maxLength: 100 },
+  class: { type: "string", required: true, maxLength: 50 },
+  medium: {
+    type: "string",
+    required: true,
+    enum: ["Bangla", "English", "English Version", "Arabic"],
+  },
+  location: { type: "string", required: true, maxLength: 200 },
+  budget: { type: "number", required: true, min: 0 },
+  daysPerWeek: { type: "integer", min: 1, max: 7 },
+  preferredTutorGender: {
+    type: "string",
+    enum: ["any", "male", "female"],
+    default: "any",
+  },
+  schedule: { type: "string", maxLength: 200 },
+  description: { type: "string", maxLength: 2000 },
+  studentName: { type: "string", maxLength: 100 },
+  // Optional exact position; otherwise geocoded from location
+  latitude: { type: "number", min: 20.5, max: 26.7 },
+  longitude: { type: "number", min: 88, max: 92.7 },
+};
+
+// Owned by the server / admin workflow, never accepted from clients
+const TUITION_SERVER_FIELDS = [
+  "_id",
+  "status",
+  "postedBy",
+  "hiredTutor",
+  "hiredAt",
+  "approvedAt",
+  "rejectedAt",
+  "reopenedAt",
+  "endedAt",
+  "checkoutSession",
+  "subscriptionCheckout",
+  "geo",
+  "geoSource",
+  "area",
+  "createdAt",
+  "updatedAt",
+];
+
+// Search Helpers
+const escapeRegex = (text) =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Letters, combining marks (Bangla vowel signs) and digits
+const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+
+// Levenshtein distance, giving up once it exceeds max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Geo Helpers
+// Offline gazetteer of Bangladeshi areas/thanas, so locations can be placed
+// on the map without calling an external geocoding service
+const BD_AREAS = require("./bdAreas.json");
+const EARTH_RADIUS_KM = 6378.1;
+
+const toPoint = (latitude, longitude) => ({
+  type: "Point",
+  coordinates: [longitude, latitude],
+});
+
+// Find the area named in a free-text location. Thana-level areas beat
+// district names ("Wari, Dhaka" is Wari), then the longest name wins.
+const geocodeLocation = (text) => {
+  if (!text) return null;
+  let best = null;
+
+  for (const area of BD_AREAS) {
+    const specific = area.name !== area.district ? 1 : 0;
+    for (const name of [area.name, ...(area.aliases || [])]) {
+      const pattern = new RegExp(
+        `(?<![\\p{L}\\p{M}])${escapeRegex(name)}`,
+        "iu"
+      );
+      if (!pattern.test(text)) continue;
+
+      const rank = [specific, name.length];
+      if (
+        !best ||
+        rank[0] > best.rank[0] ||
+        (rank[0] === best.rank[0] && rank[1] > best.rank[1])
+      ) {
+        best = { area, rank };
+      }
+    }
+  }
+
+  return best
+    ? {
+        area: best.area.name,
+        district: best.area.district,
+        geo: toPoint(best.area.lat, best.area.lng),
+      }
+    : null;
+};
+
+// Work out where a tuition is: coordinates from the poster win, otherwise
+// the location text is looked up in the gazetteer. Returns the fields to
+// $set and $unset, or field errors for a half-supplied coordinate pair.
+const placeTuition = (value, existing) => {
+  const { latitude, longitude, ...fields } = value;
+  const unset = {};
+
+  if ((latitude === undefined) !== (longitude === undefined)) {
+    return {
+      errors: { latitude: "latitude and longitude must be sent together" },
+    };
+  }
+
+  if (latitude !== undefined) {
+    fields.geo = toPoint(latitude, longitude);
+    fields.geoSource = "poster";
+  } else if (fields.location && existing?.geoSource !== "poster") {
+    const place = geocodeLocation(fields.location);
+    if (place) {
+      fields.geo = place.geo;
+      fields.area = place.area;
+      fields.geoSource = "gazetteer";
+    } else if (existing) {
+      Object.assign(unset, { geo: "", area: "", geoSource: "" });
+    }
+  }
+
+  return { fields, unset };
+};
+
+// Recommendation Helpers
+// Tutor profile fields may be arrays or comma separated strings
+const asList = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((item) => String(item).trim().toLowerCase())
+    .filter(Boolean);
+
+// Great-circle distance between two GeoJSON points, in km
+const distanceBetween = (a, b) => {
+  const [lng1, lat1] = a.coordinates;
+  const [lng2, lat2] = b.coordinates;
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const h =
+    Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(rad(lat1)) *
+      Math.cos(rad(lat2)) *
+      Math.sin(rad(lng2 - lng1) / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+// Score how well a tutor fits a tuition (0-100) and say why.
+// history: subjects/classes from the tutor's past approved applications.
+const scoreMatch = (tutor, tuition, history = {}) => {
+  const reasons = [];
+  let score = 0;
+
+  const subject = String(tuition.subject || "").toLowerCase();
+  const className = String(tuition.class || "").toLowerCase();
+  const location = String(tuition.location || "").toLowerCase();
+
+  if (subject && asList(tutor.subjects).includes(subject)) {
+    score += 35;
+    reasons.push(`Teaches ${tuition.subject}`);
+  }
+
+  if (className && asList(tutor.classes).includes(className)) {
+    score += 20;
+    reasons.push(`Teaches class ${tuition.class}`);
+  }
+
+  const km =
+    tutor.geo && tuition.geo ? distanceBetween(tutor.geo, tuition.geo) : null;
+  const tuitionArea = String(tuition.area || "").toLowerCase();
+  const area = asList(tutor.areas).find(
+    (name) => location.includes(name) || name === tuitionArea
+  );
+  if (area) {
+    score += 20;
+    reasons.push(`Preferred area ${area}`);
+  } else if (km !== null && km <= 3) {
+    score += 20;
+    reasons.push(`${km.toFixed(1)} km away`);
+  } else if (km !== null && km <= 10) {
+    score += 10;
+    reasons.push(`${km.toFixed(1)} km away`);
+  }
+
+  const budget = Number(tuition.budget);
+  const min = Number(tutor.salaryRange?.min);
+  const max = Number(tutor.salaryRange?.max);
+  if (budget > 0 && (min > 0 || max > 0)) {
+    if ((!min || budget >= min) && (!max || budget <= max)) {
+      score += 15;
+      reasons.push("Budget within expected salary");
+    } else if (min && budget >= min * 0.8 && (!max || budget <= max * 1.2)) {
+      score += 7;
+      reasons.push("Budget close to expected salary");
+    }
+  }
+
+  if (subject && history.subjects?.has(subject)) {
+    score += 10;
+    reasons.push(`Hired before for ${tuition.subject}`);
+  } else if (className && history.classes?.has(className)) {
+    score += 5;
+    reasons.push(`Hired before for class ${tuition.class}`);
+  }
+
+  return { score, reasons };
+};
+
+// Saved Searches
+const SAVED_SEARCH_SCHEMA = {
+  name: { type: "string", required: true, maxLength: 100 },
+  search: { type: "string", maxLength: 100 },
+  subject: { type: "string", maxLength: 100 },
+  class: { type: "string", maxLength: 50 },
+  location: { type: "string", maxLength: 200 },
+  minBudget: { type: "number", min: 0 },
+  maxBudget: { type: "number", min: 0 },
+  sort: {
+    type: "string",
+    enum: ["date-desc", "date-asc", "budget-asc", "budget-desc"],
+    default: "date-desc",
+  },
+  alertMode: {
+    type: "string",
+    enum: ["instant", "daily", "off"],
+    default: "instant",
+  },
+};
+
+const SAVED_SEARCH_FILTERS = [
+  "search",
+  "subject",
+  "class",
+  "location",
+  "minBudget",
+  "maxBudget",
+  "sort",
+];
+
+// Same semantics as /tuitions/search: exact subject/class, substring
+// location, and search text found in subject or location
+const matchesSavedSearch = (filters, tuition) => {
+  const has = (field, text) =>
+    String(tuition[field] || "")
+      .toLowerCase()
+      .includes(String(text).toLowerCase());
+
+  if (filters.subject && tuition.subject !== filters.subject) return false;
+  if (filters.class && tuition.class !== filters.class) return false;
+  if (filters.location && !has("location", filters.location)) return false;
+  if (
+    filters.search &&
+    !has("subject", filters.search) &&
+    !has("location", filters.search)
+  ) {
+    return false;
+  }
+
+  const budget = Number(tuition.budget);
+  if (filters.minBudget !== undefined && !(budget >= filters.minBudget)) {
+    return false;
+  }
+  if (filters.maxBudget !== undefined && !(budget <= filters.maxBudget)) {
+    return false;
+  }
+  return true;
+};
+
+// In-process notification events, keyed by user email
+const notificationEvents = new EventEmitter();
+notificationEvents.setMaxListeners(0);
+
+// Application Messaging
+const MESSAGE_SCHEMA = {
+  text: { type: "string", maxLength: 2000 },
+};
+
+// Attachments are uploaded by the client (e.g. to imgbb / cloud storage);
+// the thread only stores their metadata.
+const ATTACHMENT_SCHEMA = {
+  name: { type: "string", required: true, maxLength: 200 },
+  url: { type: "string", required: true, maxLength: 1000 },
+  mimeType: { type: "string", required: true, maxLength: 100 },
+  size: { type: "integer", required: true, min: 0, max: 10 * 1024 * 1024 },
+};
+const MAX_ATTACHMENTS = 5;
+
+// Eight or more digits (English or Bangla), optionally split by spaces,
+// dashes, dots or brackets: catches 01712345678, +880 1712-345678, ০১৭...
+const PHONE_PATTERN = /\+?[\d০-৯](?:[\s\-.()]*[\d০-৯]){7,}/g;
+const maskPhones = (text) =>
+  typeof text === "string"
+    ? text.replace(PHONE_PATTERN, "[phone hidden]")
+    : text;
+
+const validateMessage = (body) => {
+  const { attachments, ...rest } = body || {};
+  const result = validateSchema(MESSAGE_SCHEMA, rest);
+  const { value } = result;
+  const errors = result.errors || {};
+
+  value.attachments = [];
+  if (attachments !== undefined) {
+    if (!Array.isArray(attachments)) {
+      errors.attachments = "must be a list";
+    } else if (attachments.length > MAX_ATTACHMENTS) {
+      errors.attachments = `at most ${MAX_ATTACHMENTS} files per message`;
+    } else {
+      attachments.forEach((file, i) => {
+        const checked = validateSchema(ATTACHMENT_SCHEMA, file);
+        const fileErrors = checked.errors || {};
+        if (!fileErrors.url && !/^https?:\/\//i.test(checked.value.url || "")) {
+          fileErrors.url = "must be an http(s) URL";
+        }
+        for (const [key, error] of Object.entries(fileErrors)) {
+          errors[`attachments[${i}].${key}`] = error;
+        }
+        value.attachments.push(checked.value);
+      });
+    }
+  }
+
+  if (!value.text && !value.attachments.length && !errors.text) {
+    errors.text = "message is empty";
+  }
+  return { value, errors: Object.keys(errors).length ? errors : null };
+};
+
+// Reviews
+const REVIEW_SCHEMA = {
+  rating: { type: "integer", required: true, min: 1, max: 5 },
+  text: { type: "string", maxLength: 2000 },
+};
+
+const REVIEW_REPLY_SCHEMA = {
+  text: { type: "string", required: true, maxLength: 1000 },
+};
+
+// ?sort= options for the tutor listings
+const TUTOR_SORTS = {
+  rating: { ratingAverage: -1, ratingCount: -1, createdAt: -1 },
+  reviews: { ratingCount: -1, ratingAverage: -1, createdAt: -1 },
+  newest: { createdAt: -1 },
+};
+
+// Tutor Profiles
+// Field names match what scoreMatch reads (subjects, classes, areas,
+// salaryRange) so profiles feed recommendations directly.
+const WEEK_DAYS = ["Sat", "Sun", "Mon", "Tue", "Wed", "Thu", "Fri"];
+const textList = (maxItems, maxLength = 100) => ({
+  type: "list",
+  items: { type: "string", maxLength },
+  maxItems,
+});
+
+const TUTOR_PROFILE_SCHEMA = {
+  name: { type: "string", maxLength: 100 },
+  image: { type: "string", maxLength: 1000 },
+  gender: { type: "string", enum: ["male", "female"] },
+  bio: { type: "string", maxLength: 2000 },
+  subjects: { ...textList(20), required: true },
+  classes: { ...textList(20, 50), required: true },
+  medium: {
+    type: "list",
+    items: { type: "string", enum: TUITION_SCHEMA.medium.enum },
+    maxItems: 4,
+  },
+  institution: { type: "string", maxLength: 200 },
+  qualification: { type: "string", maxLength: 200 },
+  experience: { type: "integer", min: 0, max: 60 },
+  areas: { ...textList(15), required: true },
+  availability: {
+    type: "list",
+    items: { type: "string", enum: WEEK_DAYS },
+    maxItems: 7,
+  },
+  availableTime: { type: "string", maxLength: 100 },
+};
+
+const SALARY_RANGE_SCHEMA = {
+  min: { type: "number", required: true, min: 0 },
+  max: { type: "number", required: true, min: 0 },
+};
+
+const TUTOR_STATUSES = ["Active", "Inactive"];
+
+// Validate a profile body; salaryRange { min, max } is checked on its own
+// since validateSchema only handles flat fields.
+const validateTutorProfile = (body, { partial = false } = {}) => {
+  const { salaryRange, ...rest } = body || {};
+  const result = validateSchema(TUTOR_PROFILE_SCHEMA, rest, {
+    partial,
+    readOnly: [
+      "email",
+      "status",
+      "geo",
+      "area",
+      "geoSource",
+      "ratingAverage",
+      "verified",
+      "ratingCount",
+    ],
+  });
+  const value = result.value;
+  const errors = result.errors || {};
+
+  if (salaryRange !== undefined && salaryRange !== null) {
+    const range = validateSchema(SALARY_RANGE_SCHEMA, salaryRange);
+    if (range.errors) {
+      for (const [key, error] of Object.entries(range.errors)) {
+        errors[`salaryRange.${key}`] = error;
+      }
+    } else if (range.value.min > range.value.max) {
+      errors.salaryRange = "min must not exceed max";
+    } else {
+      value.salaryRange = range.value;
+    }
+  }
+
+  return { value, errors: Object.keys(errors).length ? errors : null };
+};
+
+// File Storage
+// Adapters expose put(buffer, { originalName, mimeType }) -> key,
+// get(key) -> readable stream and remove(key). Select with
+// STORAGE_DRIVER=local|memory; local writes under UPLOAD_DIR and is meant
+// for development. Add a cloud adapter here for production.
+const createFileStorage = (kind) => {
+  const newKey = (originalName) =>
+    `${Date.now()}-${crypto.randomBytes(8).toString("hex")}${path
+      .extname(originalName || "")
+      .toLowerCase()
+      .replace(/[^.\w]/g, "")}`;
+
+  if (kind === "memory") {
+    const files = new Map();
+    return {
+      name: "memory",
+      put: async (buffer, { originalName }) => {
+        const key = newKey(originalName);
+        files.set(key, buffer);
+        return key;
+      },
+      get: async (key) =>
+        files.has(key) ? Readable.from([files.get(key)]) : null,
+      remove: async (key) => {
+        files.delete(key);
+      },
+    };
+  }
+
+  const dir = process.env.UPLOAD_DIR || path.join(__dirname, "uploads");
+  // Keys are generated above; refuse anything that could escape dir
+  const fileFor = (key) => (/^[\w.-]+$/.test(key) ? path.join(dir, key) : null);
+  return {
+    name: "local",
+    put: async (buffer, { originalName }) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const key = newKey(originalName);
+      await fs.promises.writeFile(path.join(dir, key), buffer);
+      return key;
+    },
+    get: async (key) => {
+      const file = fileFor(key);
+      if (!file || !fs.existsSync(file)) return null;
+      return fs.createReadStream(file);
+    },
+    remove: async (key) => {
+      const file = fileFor(key);
+      if (file) await fs.promises.rm(file, { force: true });
+    },
+  };
+};
+
+const fileStorage = createFileStorage(process.env.STORAGE_DRIVER || "local");
+
+// Tutor Requests
+const TUTOR_REQUEST_STATUSES = [
+  "pending",
+  "info_requested",
+  "approved",
+  "rejected",
+];
+const OPEN_TUTOR_REQUEST_STATUSES = ["pending", "info_requested"];
+
+// Wait after a rejection before applying again (days)
+const TUTOR_REAPPLY_COOLDOWN_DAYS =
+  Number(process.env.TUTOR_REAPPLY_COOLDOWN_DAYS) || 30;
+
+const reapplyDateAfter = (rejectedRequest) =>
+  rejectedRequest?.rejectedAt
+    ? new Date(
+        new Date(rejectedRequest.rejectedAt).getTime() +
+          TUTOR_REAPPLY_COOLDOWN_DAYS * 24 * 60 * 60 * 1000
+      )
+    : null;
+
+// Tutor Verification Documents
+const VERIFICATION_DOCUMENTS = {
+  identity: { label: "NID or student ID", required: true, maxCount: 2 },
+  certificates: {
+    label: "Institution certificates",
+    required: true,
+    maxCount: 5,
+  },
+  transcript: { label: "Academic transcript", required: false, maxCount: 1 },
+};
+const VERIFICATION_MIME_TYPES = ["image/jpeg", "image/png", "application/pdf"];
+
+const verificationUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 8 },
+  fileFilter: (req, file, cb) => {
+    if (VERIFICATION_MIME_TYPES.includes(file.mimetype)) cb(null, true);
+    else cb(new Error(`${file.originalname}: only JPG, PNG or PDF allowed`));
+  },
+}).fields(
+  Object.entries(VERIFICATION_DOCUMENTS).map(([name, doc]) => ({
+    name,
+    maxCount: doc.maxCount,
+  }))
+);
+
+// multer reports bad uploads as errors; answer them as 400s
+const uploadVerificationDocuments = (req, res, next) =>
+  verificationUpload(req, res, (err) =>
+    err ? res.status(400).send({ message: err.message }) : next()
+  );
+
+// Roles & Permissions
+// Users hold one or more roles (user.roles; older docs only have the
+// single user.role string) plus optional extra grants in user.permissions.
+// Routes check named permissions, never role names.
+const PERMISSIONS = [
+  "tuitions:post", // post and manage own tuitions
+  "tuitions:apply", // apply to tuitions, saved searches, recommendations
+  "tuitions:moderate", // approve / reject tuition posts
+  "reviews:write",
+  "reviews:moderate",
+  "tutor:profile", // own tutor profile, location and review replies
+  "tutors:review", // tutor requests, documents and profile status
+  "earnings:read",
+  "earnings:withdraw",
+  "users:read",
+  "users:manage", // change roles, delete users
+  "finance:read", // statistics, transactions, exports
+  "finance:refund",
+  "finance:manage", // payouts, ledger, commission rules, subscriptions
+  "system:manage", // email queue, digests, migrations, data fixes
+  "audit:read",
+];
+
+const ROLE_PERMISSIONS = {
+  student: ["tuitions:post", "reviews:write"],
+  tutor: [
+    "tuitions:apply",
+    "tutor:profile",
+    "earnings:read",
+    "earnings:withdraw",
+  ],
+  moderator: [
+    "tuitions:moderate",
+    "reviews:moderate",
+    "tutors:review",
+    "users:read",
+  ],
+  admin: PERMISSIONS,
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Highest role first; kept in user.role for clients that read one string
+const ROLE_RANK = ["admin", "moderator", "tutor", "student"];
+
+const getUserRoles = (user) => {
+  const roles = (
+    Array.isArray(user?.roles) && user.roles.length ? user.roles : [user?.role]
+  )
+    .map((role) => String(role || "").toLowerCase())
+    .filter((role) => ROLES.includes(role));
+  return roles.length ? [...new Set(roles)] : ["student"];
+};
+
+const primaryRole = (roles) =>
+  ROLE_RANK.find((role) => roles.includes(role)) || "student";
+
+// Deactivated (soft deleted) users keep their roles but can't use them
+const getPermissions = (user) =>
+  user?.deletedAt
+    ? []
+    : [
+        ...new Set([
+          ...getUserRoles(user).flatMap((role) => ROLE_PERMISSIONS[role]),
+          ...(user?.permissions || []).filter((p) => PERMISSIONS.includes(p)),
+        ]),
+      ];
+
+const hasPermission = (user, permission) =>
+  getPermissions(user).includes(permission);
+
+const hasRole = (user, role) => getUserRoles(user).includes(role);
+
+// Email Transports
+// Every transport has send({ from, to, subject, html, text }). Pick one
+// with MAIL_TRANSPORT=smtp|file|memory|none (default: smtp when SMTP_HOST
+// is set, none on Vercel where the filesystem is read-only, otherwise file).
+const createMailTransport = (kind) => {
+  if (kind === "smtp") {
+    const smtp = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+    return { name: "smtp", send: (message) => smtp.sendMail(message) };
+  }
+
+  if (kind === "memory") {
+    const sent = [];
+    return {
+      name: "memory",
+      sent,
+      send: async (message) => {
+        sent.push({ ...message, sentAt: new Date() });
+      },
+    };
+  }
+
+  // none: every send fails, so jobs stay visible as failed in the queue
+  // and can be retried once SMTP is configured
+  if (kind === "none") {
+    return {
+      name: "none",
+      send: async () => {
+        throw new Error("No mail transport configured, set SMTP_HOST");
+      },
+    };
+  }
+
+  // file: one JSON file per message, handy for local development
+  const dir =
+    process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "mail-outbox");
+  return {
+    name: "file",
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = `${Date.now()}-${String(message.to).replace(/[^\w.@-]/g, "_")}.json`;
+      await fs.promises.writeFile(
+        path.join(dir, file),
+        JSON.stringify(message, null, 2)
+      );
+    },
+  };
+};
+
+const defaultMailTransport = () => {
+  if (process.env.SMTP_HOST) return "smtp";
+  return process.env.VERCEL ? "none" : "file";
+};
+
+const mailTransport = createMailTransport(
+  process.env.MAIL_TRANSPORT || defaultMailTransport()
+);
+const MAIL_FROM =
+  process.env.MAIL_FROM || "eTuitionBD <no-reply@etuitionbd.com>";
+
+// Email Templates
+const escapeHtml = (value) =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ]
+  );
+
+// Wrap paragraphs (plain strings) in the shared HTML layout and text body
+const renderEmail = ({ subject, greeting, lines, action }) => {
+  const url = action && `${process.env.CLIENT_DOMAIN || ""}${action.path}`;
+  const html = `<div style="font-family:Arial,sans-serif;max-width:560px;margin:auto;color:#222">
+  <h2 style="color:#2563eb">eTuitionBD</h2>
+  <p>${escapeHtml(greeting)}</p>
+  ${lines.map((line) => `<p>${escapeHtml(line)}</p>`).join("\n  ")}
+  ${
+    action
+      ? `<p><a href="${escapeHtml(url)}" style="background:#2563eb;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none">${escapeHtml(action.label)}</a></p>`
+      : ""
   }
+  <p style="color:#888;font-size:12px">You received this email because you have an eTuitionBD account.</p>
+</div>`;
+  const text = [greeting, ...lines, action ? `${action.label}: ${url}` : ""]
+    .filter(Boolean)
+    .join("\n\n");
+  return { subject, html, text };
+};
+
+const hello = (name) => (name ? `Hi ${name},` : "Hi,");
+
+const EMAIL_TEMPLATES = {
+  tuitionApproved: ({ name, subject, className }) =>
+    renderEmail({
+      subject: "Your tuition post is live",
+      greeting: hello(name),
+      lines: [
+        `Your ${subject} tuition for Class ${className} was approved and is now visible to tutors.`,
+      ],
+      action: { label: "View my tuitions", path: "/dashboard/my-tuitions" },
+    }),
+
+  newApplication: ({ name, tutorName, subject, tuitionId }) =>
+    renderEmail({
+      subject: `New application for your ${subject} tuition`,
+      greeting: hello(name),
+      lines: [`${tutorName} applied to your ${subject} tuition.`],
+      action: {
+        label: "Review applications",
+        path: `/dashboard/my-tuitions/${tuitionId}/applications`,
+      },
+    }),
+
+  hired: ({ name, subject, className, location }) =>
+    renderEmail({
+      subject: "Congratulations, you've been hired!",
+      greeting: hello(name),
+      lines: [
+        `You were hired for ${subject} (Class ${className}) in ${location}.`,
+        "The student's contact details are now available in your dashboard.",
+      ],
+      action: {
+        label: "Ongoing tuitions",
+        path: "/dashboard/ongoing-tuitions",
+      },
+    }),
+
+  applicationRejected: ({ name, subject, reason }) =>
+    renderEmail({
+      subject: `Update on your ${subject} application`,
+      greeting: hello(name),
+      lines: [
+        reason === "another_tutor_hired"
+          ? `Another tutor was hired for the ${subject} tuition you applied to.`
+          : `Your application for the ${subject} tuition was not accepted.`,
+        "Keep applying - new tuitions are posted every day.",
+      ],
+      action: { label: "Browse tuitions", path: "/tuitions" },
+    }),
+
+  applicationReopened: ({ name, subject }) =>
+    renderEmail({
+      subject: `Your ${subject} application is open again`,
+      greeting: hello(name),
+      lines: [
+        `The ${subject} tuition is looking for a tutor again.`,
+        "Your application is back under consideration.",
+      ],
+      action: {
+        label: "View applications",
+        path: "/dashboard/my-applications",
+      },
+    }),
+
+  paymentReceipt: ({
+    name,
+    subject,
+    amount,
+    invoiceNumber,
+    transactionId,
+    orderId,
+  }) =>
+    renderEmail({
+      subject: `Payment receipt ${invoiceNumber || ""}`.trim(),
+      greeting: hello(name),
+      lines: [
+        `We received your payment of ${amount} for ${subject}.`,
+        `Invoice: ${invoiceNumber || "-"}`,
+        `Transaction ID: ${transactionId}`,
+      ],
+      action: {
+        label: "Download receipt",
+        path: `/dashboard/payments/${orderId}`,
+      },
+    }),
+
+  tutorApproved: ({ name }) =>
+    renderEmail({
+      subject: "Welcome aboard - you're now a tutor",
+      greeting: hello(name),
+      lines: [
+        "Your request to become a tutor was approved.",
+        "Complete your tutor profile so students can find you.",
+      ],
+      action: { label: "Go to dashboard", path: "/dashboard" },
+    }),
+};
+
+// Background workers run on timers, which need a long-lived process. On
+// serverless hosts they're switched off and the admin endpoints that run
+// the same jobs (/admin/saved-searches/digest, /admin/email-queue/process)
+// are called on a schedule.
+const BACKGROUND_JOBS_ENABLED =
+  process.env.BACKGROUND_JOBS_ENABLED !== "false" && !process.env.VERCEL;
+
+// Real-time push (Server-Sent Events), keyed by user email. Connections
+// live in this process only, so it's switched off on serverless hosts and
+// clients fall back to /notifications/poll.
+const REALTIME_ENABLED =
+  process.env.REALTIME_ENABLED !== "false" && !process.env.VERCEL;
+const realtimeEvents = new EventEmitter();
+realtimeEvents.setMaxListeners(0);
+
+const pushEvent = (email, event, data) => {
+  if (email) realtimeEvents.emit(email, { event, data });
 };
 
 // MongoDB Client
@@ -65,1143 +1062,7269 @@ async function run() {
     const usersCollection = db.collection("users");
     const tutorRequestsCollection = db.collection("tutorRequests");
     const tutorsCollection = db.collection("tutors");
+    const subscriptionsCollection = db.collection("subscriptions");
+    const ledgerCollection = db.collection("tutorLedger");
+    const withdrawalsCollection = db.collection("withdrawals");
+    const commissionRulesCollection = db.collection("commissionRules");
+    const countersCollection = db.collection("counters");
+    const savedSearchesCollection = db.collection("savedSearches");
+    const searchAlertsCollection = db.collection("searchAlerts");
+    const notificationsCollection = db.collection("notifications");
+    const emailQueueCollection = db.collection("emailQueue");
+    const messagesCollection = db.collection("messages");
+    const reviewsCollection = db.collection("reviews");
+    const auditLogCollection = db.collection("auditLog");
+
+    // One order per Stripe payment intent (webhook + redirect may both fire)
+    ordersCollection
+      .createIndex(
+        { transactionId: 1 },
+        {
+          unique: true,
+          partialFilterExpression: { transactionId: { $type: "string" } },
+        }
+      )
+      .catch((err) => console.error("Failed to create orders index:", err));
+
+    ledgerCollection
+      .createIndex({ entryKey: 1 }, { unique: true })
+      .catch((err) => console.error("Failed to create ledger index:", err));
+
+    // One order per paid subscription invoice
+    ordersCollection
+      .createIndex(
+        { invoiceId: 1 },
+        {
+          unique: true,
+          partialFilterExpression: { invoiceId: { $type: "string" } },
+        }
+      )
+      .catch((err) => console.error("Failed to create orders index:", err));
 
     /* ================= ROLE MIDDLEWARE ================= */
-    const verifyADMIN = async (req, res, next) => {
-      const user = await usersCollection.findOne({ email: req.tokenEmail });
-      if (user?.role?.toLowerCase() !== "admin") {
-        return res.status(403).send({ message: "Admin only action!" });
-      }
-      next();
-    };
 
-    const verifyTUTOR = async (req, res, next) => {
-      const user = await usersCollection.findOne({ email: req.tokenEmail });
-      if (user?.role?.toLowerCase() !== "tutor") {
-        return res.status(403).send({ message: "Tutor only action!" });
+    // Load the caller's user doc once per request; every permission check
+    // after verifyJWT reuses it.
+    const loadUser = async (req) => {
+      if (req.user === undefined) {
+        req.user = await usersCollection.findOne({ email: req.tokenEmail });
       }
-      next();
+      return req.user;
     };
 
-    const verifySTUDENT = async (req, res, next) => {
-      const user = await usersCollection.findOne({ email: req.tokenEmail });
-      if (user?.role?.toLowerCase() !== "student") {
-        return res.status(403).send({ message: "Student only action!" });
-      }
-      next();
+    // Allow the request only if the caller has every listed permission
+    const requirePermission =
+      (...permissions) =>
+      async (req, res, next) => {
+        try {
+          const user = await loadUser(req);
+          const missing = permissions.filter((p) => !hasPermission(user, p));
+          if (missing.length) {
+            return res
+              .status(403)
+              .send({ message: `Missing permission: ${missing.join(", ")}` });
+          }
+          next();
+        } catch (error) {
+          console.error("Error checking permissions:", error);
+          res.status(500).send({ message: "Failed to check permissions" });
+        }
+      };
+
+    // Add a role to a user, keeping user.role as the primary role
+    const grantRole = async (email, role) => {
+      const user = await usersCollection.findOne({ email });
+      const roles = [...new Set([...getUserRoles(user), role])];
+      return usersCollection.updateOne(
+        { email },
+        { $set: { roles, role: primaryRole(roles) } }
+      );
     };
 
-    /* ================= PUBLIC ENDPOINTS ================= */
+    /* ================= AUDIT LOG ================= */
+
+    // Append-only: the API only ever inserts into this collection.
+    auditLogCollection
+      .createIndex({ at: -1 })
+      .catch((err) => console.error("Failed to create audit index:", err));
+    auditLogCollection
+      .createIndex({ actor: 1, at: -1 })
+      .catch((err) => console.error("Failed to create audit index:", err));
+    auditLogCollection
+      .createIndex({ "target.type": 1, "target.id": 1, at: -1 })
+      .catch((err) => console.error("Failed to create audit index:", err));
+
+    const AUDIT_SNAPSHOT_LIMIT = 500;
+
+    // Destructive maintenance routes accept ?dryRun=true (or body.dryRun)
+    const isDryRun = (req) =>
+      req.query.dryRun === "true" || req.body?.dryRun === true;
+
+    const dryRunPreview = (documents) => ({
+      dryRun: true,
+      message: `${documents.length} documents would be affected`,
+      count: documents.length,
+      documents: documents.slice(0, 100),
+    });
 
-    // ✅ Get latest tuitions (for home page)
-    app.get("/latest-tuitions", async (req, res) => {
+    // Record a privileged action. target: { type, id }; before/after are
+    // document snapshots. Lists longer than AUDIT_SNAPSHOT_LIMIT keep only
+    // the first documents and the entry says so in snapshotTruncated; bulk
+    // actions also pass the query they ran as filter, so the full set can
+    // still be identified. Never throws, so a logging problem can't undo an
+    // action that already happened.
+    const audit = async (
+      req,
+      action,
+      target,
+      { before, after, meta, filter } = {}
+    ) => {
+      const truncated = {};
+      const cap = (key, snapshot) => {
+        if (!Array.isArray(snapshot)) return snapshot ?? null;
+        if (snapshot.length > AUDIT_SNAPSHOT_LIMIT) {
+          truncated[key] = {
+            total: snapshot.length,
+            kept: AUDIT_SNAPSHOT_LIMIT,
+          };
+        }
+        return snapshot.slice(0, AUDIT_SNAPSHOT_LIMIT);
+      };
       try {
-        const result = await tuitionsCollection
-          .find({ status: "approved" })
-          .sort({ createdAt: -1 })
-          .limit(6)
-          .toArray();
-        res.send(result);
+        await auditLogCollection.insertOne({
+          actor: req.tokenEmail,
+          actorRoles: getUserRoles(req.user),
+          action,
+          target: { type: target.type, id: String(target.id ?? "") },
+          before: cap("before", before),
+          after: cap("after", after),
+          snapshotTruncated: Object.keys(truncated).length ? truncated : null,
+          // Stored as JSON: query operators can't be field names
+          filter: filter ? JSON.stringify(filter) : null,
+          meta: meta || null,
+          ip:
+            String(req.headers["x-forwarded-for"] || "")
+              .split(",")[0]
+              .trim() || req.socket?.remoteAddress,
+          userAgent: req.headers["user-agent"] || null,
+          at: new Date(),
+        });
       } catch (error) {
-        console.error("Error fetching latest tuitions:", error);
-        res.status(500).send({ message: "Failed to fetch latest tuitions" });
+        console.error(`Failed to audit ${action}:`, error);
       }
+    };
+
+    /* ================= SOFT DELETE HELPERS ================= */
+
+    // Users, tuitions and applications are never removed: deletedAt /
+    // deletedBy hide them from every listing and an admin can restore
+    // them. cascade records which parent action hid a record, so restoring
+    // that parent brings back exactly those records.
+    const softDelete = (deletedBy, cascade) => ({
+      $set: {
+        deletedAt: new Date(),
+        deletedBy,
+        ...(cascade && { deletedCascade: cascade }),
+      },
     });
 
-    // ✅ Get latest tutors (for home page)
-    app.get("/latest-tutors", async (req, res) => {
+    const RESTORE = {
+      $unset: { deletedAt: "", deletedBy: "", deletedCascade: "" },
+    };
+
+    // Admin listings: ?deleted=true shows only deleted records,
+    // ?deleted=all shows everything, default hides deleted ones
+    const deletedFilter = (req) => {
+      if (req.query.deleted === "true") return { deletedAt: { $ne: null } };
+      if (req.query.deleted === "all") return {};
+      return { deletedAt: null };
+    };
+
+    // Disable (or re-enable) the Firebase login; a user who never signed
+    // in through Firebase has nothing to disable
+    const setFirebaseDisabled = async (email, disabled) => {
       try {
-        const tutors = await tutorsCollection
-          .find({ status: "Active" })
-          .sort({ createdAt: -1 })
-          .limit(6)
-          .toArray();
-        res.send(tutors);
+        const { uid } = await admin.auth().getUserByEmail(email);
+        await admin.auth().updateUser(uid, { disabled });
+        if (disabled) await admin.auth().revokeRefreshTokens(uid);
+        return true;
       } catch (error) {
-        console.error("Error fetching latest tutors:", error);
-        res.status(500).send({ message: "Failed to fetch latest tutors" });
+        if (error.code === "auth/user-not-found") return false;
+        throw error;
       }
-    });
+    };
 
-    // ✅ Get all tutors (public)
-    app.get("/tutors", async (req, res) => {
+    /* ================= NOTIFICATION HELPERS ================= */
+
+    notificationsCollection
+      .createIndex({ userEmail: 1, createdAt: -1 })
+      .catch((err) =>
+        console.error("Failed to create notifications index:", err)
+      );
+
+    // Store an in-app notification and wake up anyone long-polling for it.
+    // Never throws: a failed notification must not fail the action itself.
+    const notify = async (userEmail, { type, title, message, link, data }) => {
+      if (!userEmail) return;
       try {
-        const tutors = await tutorsCollection.find().toArray();
-        res.send(tutors);
+        const notification = {
+          userEmail,
+          type,
+          title,
+          message,
+          link: link || null,
+          data: data || {},
+          read: false,
+          createdAt: new Date(),
+        };
+        await notificationsCollection.insertOne(notification);
+        notificationEvents.emit(userEmail, notification);
       } catch (error) {
-        console.error("Error fetching tutors:", error);
-        res.status(500).send({ message: "Failed to fetch tutors" });
+        console.error(`Failed to notify ${userEmail} (${type}):`, error);
       }
-    });
-
-    // ✅ Get tutor profile by ID (secure - doesn't expose email in URL)
-    app.get("/tutors/profile/:id", async (req, res) => {
-      try {
-        const { id } = req.params;
-
-        // Validate ObjectId
-        if (!ObjectId.isValid(id)) {
-          return res.status(400).send({ message: "Invalid tutor ID" });
-        }
+    };
 
-        const tutor = await tutorsCollection.findOne({
-          _id: new ObjectId(id),
-        });
+    /* ================= EMAIL QUEUE ================= */
 
-        if (!tutor) {
-          return res.status(404).send({ message: "Tutor not found" });
-        }
+    const EMAIL_MAX_ATTEMPTS = 5;
 
-        res.send(tutor);
-      } catch (error) {
-        console.error("Error fetching tutor profile:", error);
-        res.status(500).send({ message: "Failed to fetch tutor profile" });
-      }
-    });
+    emailQueueCollection
+      .createIndex({ status: 1, nextAttemptAt: 1 })
+      .catch((err) => console.error("Failed to create email index:", err));
 
-    // ✅ Get single tutor profile by email (legacy - kept for backward compatibility)
-    app.get("/tutors/:email", async (req, res) => {
+    // Render and queue an email. Only a database insert, so routes never
+    // wait on the mail server; the worker below does the sending.
+    const queueEmail = async (to, template, data = {}) => {
+      if (!to || !EMAIL_TEMPLATES[template]) return;
       try {
-        const tutor = await tutorsCollection.findOne({
-          email: req.params.email,
+        const message = EMAIL_TEMPLATES[template](data);
+        await emailQueueCollection.insertOne({
+          to,
+          template,
+          ...message,
+          status: "pending",
+          attempts: 0,
+          nextAttemptAt: new Date(),
+          createdAt: new Date(),
         });
-        if (!tutor) {
-          return res.status(404).send({ message: "Tutor not found" });
+        if (BACKGROUND_JOBS_ENABLED) {
+          setImmediate(() => processEmailQueue().catch(() => {}));
         }
-        res.send(tutor);
       } catch (error) {
-        console.error("Error fetching tutor:", error);
-        res.status(500).send({ message: "Failed to fetch tutor" });
+        console.error(`Failed to queue ${template} email to ${to}:`, error);
       }
-    });
+    };
 
-    /* ================= TUITIONS (STUDENT CRUD) ================= */
+    // Send due emails one by one. Failures back off exponentially
+    // (1, 2, 4, 8 minutes) and give up after EMAIL_MAX_ATTEMPTS.
+    let emailWorkerBusy = false;
+    const processEmailQueue = async () => {
+      if (emailWorkerBusy) return 0;
+      emailWorkerBusy = true;
+      let sent = 0;
 
-    // ✅ Student can post tuition (status: pending by default)
-    app.post("/tuitions", verifyJWT, async (req, res) => {
       try {
-        const tuitionData = {
-          ...req.body,
-          postedBy: {
-            email: req.tokenEmail,
-            name: req.body.studentName,
+        // Jobs left "sending" by a crashed process go back to the queue
+        await emailQueueCollection.updateMany(
+          {
+            status: "sending",
+            lockedAt: { $lt: new Date(Date.now() - 10 * 60 * 1000) },
           },
-          status: "pending",
-          createdAt: new Date(),
-        };
-        const result = await tuitionsCollection.insertOne(tuitionData);
-        res.send(result);
-      } catch (error) {
-        console.error("Error creating tuition:", error);
-        res.status(500).send({ message: "Failed to create tuition" });
+          { $set: { status: "pending" } }
+        );
+
+        while (true) {
+          const job = await emailQueueCollection.findOneAndUpdate(
+            { status: "pending", nextAttemptAt: { $lte: new Date() } },
+            { $set: { status: "sending", lockedAt: new Date() } },
+            { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+          );
+          if (!job) break;
+
+          try {
+            await mailTransport.send({
+              from: MAIL_FROM,
+              to: job.to,
+              subject: job.subject,
+              html: job.html,
+              text: job.text,
+            });
+            await emailQueueCollection.updateOne(
+              { _id: job._id },
+              {
+                $set: { status: "sent", sentAt: new Date() },
+                $inc: { attempts: 1 },
+              }
+            );
+            sent++;
+          } catch (error) {
+            const attempts = job.attempts + 1;
+            await emailQueueCollection.updateOne(
+              { _id: job._id },
+              {
+                $set: {
+                  status: attempts >= EMAIL_MAX_ATTEMPTS ? "failed" : "pending",
+                  attempts,
+                  lastError: error.message,
+                  nextAttemptAt: new Date(
+                    Date.now() + 2 ** (attempts - 1) * 60 * 1000
+                  ),
+                },
+              }
+            );
+            console.error(`📧 Email to ${job.to} failed (${attempts}):`, error);
+          }
+        }
+      } finally {
+        emailWorkerBusy = false;
       }
-    });
 
-    // ✅ Get all APPROVED tuitions (public - for tutors to browse)
-    app.get("/tuitions", async (req, res) => {
-      try {
-        const result = await tuitionsCollection
-          .find({ status: "approved" })
-          .sort({ createdAt: -1 })
-          .toArray();
-        res.send(result);
-      } catch (error) {
-        console.error("Error fetching tuitions:", error);
-        res.status(500).send({ message: "Failed to fetch tuitions" });
+      return sent;
+    };
+
+    if (BACKGROUND_JOBS_ENABLED) {
+      setInterval(() => {
+        processEmailQueue().catch((err) =>
+          console.error("Email queue worker failed:", err)
+        );
+      }, 30 * 1000).unref();
+    }
+
+    /* ================= PAYMENT HELPERS ================= */
+
+    // Used when no active default rule exists, and to label orders that
+    // were written before commission rules were stored on the order
+    const FALLBACK_COMMISSION_RULE = {
+      ruleId: null,
+      name: "Default 10%",
+      type: "default",
+      rate: 0.1,
+      fixedFee: null,
+      minFee: null,
+    };
+    const LEGACY_COMMISSION_RULE = {
+      ...FALLBACK_COMMISSION_RULE,
+      name: "Legacy 10%",
+      type: "legacy",
+    };
+
+    const sameText = (a, b) =>
+      String(a || "")
+        .trim()
+        .toLowerCase() ===
+      String(b || "")
+        .trim()
+        .toLowerCase();
+
+    // Pick the commission rule for an order. Most specific wins:
+    // promo (tutor's first N hires) > subject + class > subject > class > default
+    const resolveCommissionRule = async ({
+      tuition,
+      tutorEmail,
+      transactionId,
+      isHire,
+    }) => {
+      const rules = await commissionRulesCollection
+        .find({ active: true })
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      const promos = rules.filter((rule) => rule.type === "promo");
+      if (isHire && promos.length) {
+        const previousHires = await ordersCollection.countDocuments({
+          tutorEmail,
+          type: { $ne: "subscription" },
+          transactionId: { $ne: transactionId },
+        });
+        const promo = promos.find((rule) => previousHires < rule.firstNHires);
+        if (promo) return promo;
       }
-    });
 
-    // ✅ Search, Filter & Sort tuitions
-    app.get("/tuitions/search", async (req, res) => {
-      try {
-        const { search, subject, class: className, location, sort } = req.query;
+      const match = (type, predicate) =>
+        rules.find((rule) => rule.type === type && predicate(rule));
+
+      return (
+        match(
+          "subject_class",
+          (rule) =>
+            sameText(rule.subject, tuition?.subject) &&
+            sameText(rule.class, tuition?.class)
+        ) ||
+        match("subject", (rule) => sameText(rule.subject, tuition?.subject)) ||
+        match("class", (rule) => sameText(rule.class, tuition?.class)) ||
+        match("default", () => true) ||
+        FALLBACK_COMMISSION_RULE
+      );
+    };
 
-        let query = { status: "approved" };
+    // Split a payment between platform and tutor using the commission policy.
+    // The rule that produced the split is returned so it can be stored on
+    // the order and historical reports don't move when the policy changes.
+    const calculateSplit = async (
+      totalAmount,
+      { tuitionId, tutorEmail, transactionId, isHire }
+    ) => {
+      const tuition = ObjectId.isValid(tuitionId)
+        ? await tuitionsCollection.findOne({ _id: new ObjectId(tuitionId) })
+        : null;
+      const rule = await resolveCommissionRule({
+        tuition,
+        tutorEmail,
+        transactionId,
+        isHire,
+      });
+
+      let platformCommission =
+        rule.fixedFee != null ? rule.fixedFee : totalAmount * rule.rate;
+      if (rule.minFee != null) {
+        platformCommission = Math.max(platformCommission, rule.minFee);
+      }
+      platformCommission = roundMoney(
+        Math.min(platformCommission, totalAmount)
+      );
+
+      return {
+        platformCommission,
+        tutorAmount: roundMoney(totalAmount - platformCommission),
+        commissionRule: {
+          ruleId: rule.ruleId !== undefined ? rule.ruleId : rule._id.toString(),
+          name: rule.name,
+          type: rule.type,
+          rate: rule.rate ?? null,
+          fixedFee: rule.fixedFee ?? null,
+          minFee: rule.minFee ?? null,
+        },
+      };
+    };
 
-        if (search) {
-          query.$or = [
-            { subject: { $regex: search, $options: "i" } },
-            { location: { $regex: search, $options: "i" } },
-          ];
-        }
+    // Net revenue per commission rule (orders without a rule are legacy 10%)
+    const getRevenueByRule = () =>
+      ordersCollection
+        .aggregate([
+          // Oldest first so $last picks each rule's current name
+          { $sort: { paidAt: 1, _id: 1 } },
+          {
+            // Rules are keyed by id so an edited rule keeps its history
+            // together. Orders without a rule id (fallback and legacy)
+            // group by type instead.
+            $group: {
+              _id: {
+                $ifNull: [
+                  "$commissionRule.ruleId",
+                  {
+                    $concat: [
+                      "type:",
+                      {
+                        $ifNull: [
+                          "$commissionRule.type",
+                          LEGACY_COMMISSION_RULE.type,
+                        ],
+                      },
+                    ],
+                  },
+                ],
+              },
+              ruleId: { $last: "$commissionRule.ruleId" },
+              ruleType: {
+                $last: {
+                  $ifNull: [
+                    "$commissionRule.type",
+                    LEGACY_COMMISSION_RULE.type,
+                  ],
+                },
+              },
+              rule: {
+                $last: {
+                  $ifNull: [
+                    "$commissionRule.name",
+                    LEGACY_COMMISSION_RULE.name,
+                  ],
+                },
+              },
+              orders: { $sum: 1 },
+              totalRevenue: {
+                $sum: {
+                  $subtract: [
+                    { $ifNull: ["$totalAmount", 0] },
+                    { $ifNull: ["$refundedAmount", 0] },
+                  ],
+                },
+              },
+              platformRevenue: {
+                $sum: {
+                  $subtract: [
+                    { $ifNull: ["$platformCommission", 0] },
+                    { $ifNull: ["$platformCommissionRefunded", 0] },
+                  ],
+                },
+              },
+              tutorRevenue: {
+                $sum: {
+                  $subtract: [
+                    { $ifNull: ["$tutorAmount", 0] },
+                    { $ifNull: ["$tutorAmountRefunded", 0] },
+                  ],
+                },
+              },
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              ruleId: { $ifNull: ["$ruleId", null] },
+              rule: 1,
+              ruleType: 1,
+              orders: 1,
+              totalRevenue: 1,
+              platformRevenue: 1,
+              tutorRevenue: 1,
+            },
+          },
+          { $sort: { platformRevenue: -1 } },
+        ])
+        .toArray();
+
+    // Record the order and hire the tutor for a paid checkout session.
+    // Every step is idempotent so Stripe webhook retries are harmless.
+    const finalizeHire = async (session) => {
+      const { applicationId, tuitionId, studentEmail, tutorEmail } =
+        session.metadata;
+
+      const totalAmount = Number(session.amount_total / 100) || 0;
+      const { platformCommission, tutorAmount, commissionRule } =
+        await calculateSplit(totalAmount, {
+          tuitionId,
+          tutorEmail,
+          transactionId: session.payment_intent,
+          isHire: true,
+        });
 
-        if (subject) query.subject = subject;
-        if (className) query.class = className;
-        if (location) query.location = { $regex: location, $options: "i" };
+      const paymentRecord = {
+        applicationId,
+        tuitionId,
+        transactionId: session.payment_intent,
+        studentEmail,
+        tutorEmail,
+        totalAmount: totalAmount,
+        platformCommission: platformCommission,
+        tutorAmount: tutorAmount,
+        commissionRule,
+        amount: totalAmount, // Keep for backward compatibility
+        type: "hire",
+        status: "completed",
+        paidAt: new Date(),
+      };
+
+      const orderResult = await ordersCollection.updateOne(
+        { transactionId: session.payment_intent },
+        { $setOnInsert: paymentRecord },
+        { upsert: true }
+      );
+
+      if (orderResult.upsertedCount) {
+        await assignInvoiceNumber(orderResult.upsertedId, paymentRecord.paidAt);
+        console.log("✅ Payment record created:", session.payment_intent);
+      } else {
+        console.log("⚠️ Payment already recorded:", session.payment_intent);
+      }
 
-        let sortOption = { createdAt: -1 };
-        if (sort === "budget-asc") sortOption = { budget: 1 };
-        if (sort === "budget-desc") sortOption = { budget: -1 };
-        if (sort === "date-asc") sortOption = { createdAt: 1 };
-        if (sort === "date-desc") sortOption = { createdAt: -1 };
+      // Update the application status to approved
+      await applicationsCollection.updateOne(
+        { _id: new ObjectId(applicationId), status: { $ne: "approved" } },
+        { $set: { status: "approved", approvedAt: new Date() } }
+      );
 
-        const result = await tuitionsCollection
-          .find(query)
-          .sort(sortOption)
-          .toArray();
+      // Reject all other pending applications for this tuition
+      const rejectedApps = await applicationsCollection
+        .find(
+          {
+            tuitionId,
+            _id: { $ne: new ObjectId(applicationId) },
+            status: "pending",
+          },
+          { projection: { tutorEmail: 1, tutorName: 1 } }
+        )
+        .toArray();
+      await applicationsCollection.updateMany(
+        {
+          tuitionId,
+          _id: { $ne: new ObjectId(applicationId) },
+          status: "pending",
+        },
+        {
+          $set: {
+            status: "rejected",
+            rejectedAt: new Date(),
+            rejectionReason: "another_tutor_hired",
+          },
+        }
+      );
+
+      // Update tuition status to hired
+      const hireResult = await tuitionsCollection.updateOne(
+        { _id: new ObjectId(tuitionId), status: { $ne: "hired" } },
+        {
+          $set: {
+            status: "hired",
+            hiredTutor: tutorEmail,
+            hiredAt: new Date(),
+          },
+          $unset: { checkoutSession: "" },
+        }
+      );
 
-        res.send(result);
-      } catch (error) {
-        console.error("Error searching tuitions:", error);
-        res.status(500).send({ message: "Failed to search tuitions" });
+      const order = await ordersCollection.findOne({
+        transactionId: session.payment_intent,
+      });
+      await creditOrder(order);
+
+      // Only the first delivery of this event announces the hire
+      if (hireResult.modifiedCount) {
+        const tuition = await tuitionsCollection.findOne({
+          _id: new ObjectId(tuitionId),
+        });
+        const link = `/dashboard/my-tuitions`;
+        const payment = {
+          orderId: order._id,
+          tuitionId,
+          applicationId,
+          amount: order.totalAmount,
+        };
+        pushEvent(studentEmail, "payment:confirmed", payment);
+        pushEvent(tutorEmail, "payment:confirmed", payment);
+        pushEvent(tutorEmail, "application:status", {
+          applicationId,
+          tuitionId,
+          status: "approved",
+        });
+        await notify(studentEmail, {
+          type: "payment_confirmed",
+          title: "Payment confirmed",
+          message: `Your payment of ${formatBDT(order.totalAmount)} for ${tuition?.subject} was received.`,
+          link,
+          data: { orderId: order._id, tuitionId },
+        });
+        await queueEmail(studentEmail, "paymentReceipt", {
+          name: tuition?.postedBy?.name,
+          subject: tuition?.subject,
+          amount: formatBDT(order.totalAmount),
+          invoiceNumber: order.invoiceNumber,
+          transactionId: order.transactionId,
+          orderId: order._id,
+        });
+        await notify(tutorEmail, {
+          type: "hired",
+          title: "You're hired!",
+          message: `You were hired for ${tuition?.subject} (Class ${tuition?.class}).`,
+          link: "/dashboard/ongoing-tuitions",
+          data: { tuitionId, applicationId },
+        });
+        const hired = await applicationsCollection.findOne(
+          { _id: new ObjectId(applicationId) },
+          { projection: { tutorName: 1 } }
+        );
+        await queueEmail(tutorEmail, "hired", {
+          name: hired?.tutorName,
+          subject: tuition?.subject,
+          className: tuition?.class,
+          location: tuition?.location,
+        });
+        for (const app of rejectedApps) {
+          pushEvent(app.tutorEmail, "application:status", {
+            applicationId: app._id,
+            tuitionId,
+            status: "rejected",
+          });
+          await notify(app.tutorEmail, {
+            type: "application_rejected",
+            title: "Application not selected",
+            message: `Another tutor was hired for ${tuition?.subject}.`,
+            link: "/dashboard/my-applications",
+            data: { tuitionId, applicationId: app._id },
+          });
+          await queueEmail(app.tutorEmail, "applicationRejected", {
+            name: app.tutorName,
+            subject: tuition?.subject,
+            reason: "another_tutor_hired",
+          });
+        }
       }
-    });
+      return order;
+    };
 
-    // ✅ Pagination for tuitions
-    app.get("/tuitions/paginated", async (req, res) => {
-      try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 9;
-        const skip = (page - 1) * limit;
+    // Subscriptions that still bill (or may bill) the student
+    const OPEN_SUBSCRIPTION_STATUSES = [
+      "active",
+      "paused",
+      "past_due",
+      "incomplete",
+    ];
+
+    // Mark a hired tuition as finished (subscription cancelled)
+    const endTuition = async (tuitionId) => {
+      await tuitionsCollection.updateOne(
+        { _id: new ObjectId(tuitionId), status: "hired" },
+        { $set: { status: "ended", endedAt: new Date() } }
+      );
+    };
 
-        const { search, subject, class: className, location, sort } = req.query;
+    // Store the subscription created by a subscription-mode checkout
+    const activateSubscription = async (session) => {
+      const { applicationId, tuitionId, studentEmail, tutorEmail } =
+        session.metadata;
 
-        let query = { status: "approved" };
+      await subscriptionsCollection.updateOne(
+        { stripeSubscriptionId: session.subscription },
+        {
+          $setOnInsert: {
+            stripeSubscriptionId: session.subscription,
+            applicationId,
+            tuitionId,
+            studentEmail,
+            tutorEmail,
+            monthlyAmount: Number(session.amount_total / 100) || 0,
+            status: "active",
+            createdAt: new Date(),
+          },
+        },
+        { upsert: true }
+      );
 
-        if (search) {
-          query.$or = [
-            { subject: { $regex: search, $options: "i" } },
-            { location: { $regex: search, $options: "i" } },
-          ];
-        }
-        if (subject) query.subject = subject;
-        if (className) query.class = className;
-        if (location) query.location = { $regex: location, $options: "i" };
+      await tuitionsCollection.updateOne(
+        {
+          _id: new ObjectId(tuitionId),
+          "subscriptionCheckout.id": session.id,
+        },
+        { $unset: { subscriptionCheckout: "" } }
+      );
+    };
 
-        let sortOption = { createdAt: -1 };
-        if (sort === "budget-asc") sortOption = { budget: 1 };
-        if (sort === "budget-desc") sortOption = { budget: -1 };
-        if (sort === "date-asc") sortOption = { createdAt: 1 };
-        if (sort === "date-desc") sortOption = { createdAt: -1 };
+    // Current Stripe API versions no longer put payment_intent on the
+    // invoice; it lives on the invoice's InvoicePayment records instead
+    const getInvoicePaymentIntent = async (invoice) => {
+      if (typeof invoice.payment_intent === "string") {
+        return invoice.payment_intent;
+      }
 
-        const total = await tuitionsCollection.countDocuments(query);
-        const tuitions = await tuitionsCollection
-          .find(query)
-          .sort(sortOption)
-          .skip(skip)
-          .limit(limit)
-          .toArray();
+      let payments = invoice.payments?.data;
+      if (!payments) {
+        ({ data: payments } = await stripe.invoicePayments.list({
+          invoice: invoice.id,
+          status: "paid",
+        }));
+      }
 
-        res.send({
-          tuitions,
-          currentPage: page,
-          totalPages: Math.ceil(total / limit),
-          totalTuitions: total,
+      const paymentIntent = payments.find(
+        (payment) =>
+          payment.status === "paid" && payment.payment?.payment_intent
+      )?.payment.payment_intent;
+      return typeof paymentIntent === "string"
+        ? paymentIntent
+        : paymentIntent?.id || null;
+    };
+
+    // Append an order for a paid monthly invoice (one order per invoice)
+    const recordSubscriptionInvoice = async (invoice) => {
+      const subscriptionId =
+        invoice.subscription ||
+        invoice.parent?.subscription_details?.subscription;
+      const metadata =
+        invoice.subscription_details?.metadata ||
+        invoice.parent?.subscription_details?.metadata ||
+        {};
+
+      if (!subscriptionId || !metadata.tuitionId) return;
+
+      const totalAmount = Number(invoice.amount_paid / 100) || 0;
+      if (totalAmount <= 0) return;
+
+      const transactionId =
+        (await getInvoicePaymentIntent(invoice)) || invoice.id;
+
+      const { platformCommission, tutorAmount, commissionRule } =
+        await calculateSplit(totalAmount, {
+          tuitionId: metadata.tuitionId,
+          tutorEmail: metadata.tutorEmail,
+          transactionId,
+          isHire: false,
         });
-      } catch (error) {
-        console.error("Error fetching paginated tuitions:", error);
-        res.status(500).send({ message: "Failed to fetch tuitions" });
+      const period = invoice.lines?.data?.[0]?.period;
+
+      const paymentRecord = {
+        applicationId: metadata.applicationId,
+        tuitionId: metadata.tuitionId,
+        transactionId,
+        invoiceId: invoice.id,
+        subscriptionId,
+        type: "subscription",
+        billingPeriod: period
+          ? {
+              start: new Date(period.start * 1000),
+              end: new Date(period.end * 1000),
+            }
+          : null,
+        studentEmail: metadata.studentEmail,
+        tutorEmail: metadata.tutorEmail,
+        totalAmount,
+        platformCommission,
+        tutorAmount,
+        commissionRule,
+        amount: totalAmount, // Keep for backward compatibility
+        status: "completed",
+        paidAt: invoice.status_transitions?.paid_at
+          ? new Date(invoice.status_transitions.paid_at * 1000)
+          : new Date(),
+      };
+
+      const result = await ordersCollection.updateOne(
+        { invoiceId: invoice.id },
+        { $setOnInsert: paymentRecord },
+        { upsert: true }
+      );
+
+      if (result.upsertedCount) {
+        await assignInvoiceNumber(result.upsertedId, paymentRecord.paidAt);
+        console.log("✅ Monthly payment recorded:", invoice.id);
       }
-    });
+      await creditOrder(
+        await ordersCollection.findOne({ invoiceId: invoice.id })
+      );
+
+      await subscriptionsCollection.updateOne(
+        { stripeSubscriptionId: subscriptionId },
+        { $set: { lastPaidAt: paymentRecord.paidAt } }
+      );
+    };
 
-    // ✅ Get single tuition details
-    app.get("/tuitions/:id", async (req, res) => {
-      try {
-        const result = await tuitionsCollection.findOne({
-          _id: new ObjectId(req.params.id),
-        });
-        res.send(result);
-      } catch (error) {
-        console.error("Error fetching tuition:", error);
-        res.status(500).send({ message: "Failed to fetch tuition" });
+    // Keep our copy of a subscription in step with Stripe
+    const syncSubscription = async (subscription) => {
+      let status = subscription.status;
+      if (subscription.pause_collection) status = "paused";
+      if (status === "canceled") status = "cancelled";
+
+      const stored = await subscriptionsCollection.findOneAndUpdate(
+        { stripeSubscriptionId: subscription.id },
+        { $set: { status, updatedAt: new Date() } }
+      );
+
+      if (status === "cancelled" && stored?.tuitionId) {
+        await endTuition(stored.tuitionId);
       }
-    });
+    };
 
-    // ✅ Get student's own tuitions
-    app.get("/my-tuitions", verifyJWT, async (req, res) => {
-      try {
-        const result = await tuitionsCollection
-          .find({ "postedBy.email": req.tokenEmail })
-          .sort({ createdAt: -1 })
-          .toArray();
-        res.send(result);
-      } catch (error) {
-        console.error("Error fetching my tuitions:", error);
-        res.status(500).send({ message: "Failed to fetch tuitions" });
+    const roundMoney = (value) => Math.round(value * 100) / 100;
+
+    // Stop monthly billing for a hire that was refunded. A failed cancel is
+    // logged and left open so it shows up for an admin to cancel by hand.
+    const cancelHireSubscriptions = async (order) => {
+      const subscriptions = await subscriptionsCollection
+        .find({
+          tuitionId: order.tuitionId,
+          tutorEmail: order.tutorEmail,
+          status: { $in: OPEN_SUBSCRIPTION_STATUSES },
+        })
+        .toArray();
+
+      for (const subscription of subscriptions) {
+        try {
+          await stripe.subscriptions.cancel(subscription.stripeSubscriptionId);
+          await subscriptionsCollection.updateOne(
+            { _id: subscription._id },
+            {
+              $set: {
+                status: "cancelled",
+                cancelledAt: new Date(),
+                cancelReason: "hire_refunded",
+              },
+            }
+          );
+        } catch (error) {
+          console.error(
+            `Failed to cancel subscription ${subscription.stripeSubscriptionId}:`,
+            error
+          );
+        }
       }
-    });
+    };
 
-    // ✅ Update tuition
-    app.patch("/tuitions/:id", verifyJWT, async (req, res) => {
-      try {
-        const tuitionId = req.params.id;
-        const tuition = await tuitionsCollection.findOne({
-          _id: new ObjectId(tuitionId),
+    // Give the tuition back to the student after a hire is fully refunded:
+    // the hired application is closed and the applicants that were
+    // rejected because of this hire become pending again.
+    const reopenTuition = async (order) => {
+      const tuitionResult = await tuitionsCollection.updateOne(
+        {
+          _id: new ObjectId(order.tuitionId),
+          status: "hired",
+          hiredTutor: order.tutorEmail,
+        },
+        {
+          $set: { status: "approved", reopenedAt: new Date() },
+          $unset: { hiredTutor: "", hiredAt: "" },
+        }
+      );
+
+      if (!tuitionResult.modifiedCount) return;
+
+      await applicationsCollection.updateOne(
+        { _id: new ObjectId(order.applicationId) },
+        { $set: { status: "refunded", refundedAt: new Date() } }
+      );
+      await cancelHireSubscriptions(order);
+      pushEvent(order.tutorEmail, "application:status", {
+        applicationId: order.applicationId,
+        tuitionId: order.tuitionId,
+        status: "refunded",
+      });
+
+      const reopenFilter = {
+        tuitionId: order.tuitionId,
+        status: "rejected",
+        rejectionReason: "another_tutor_hired",
+      };
+      const reopenedApps = await applicationsCollection
+        .find(reopenFilter, { projection: { tutorEmail: 1, tutorName: 1 } })
+        .toArray();
+      await applicationsCollection.updateMany(
+        { ...reopenFilter, _id: { $in: reopenedApps.map((app) => app._id) } },
+        {
+          $set: { status: "pending" },
+          $unset: { rejectedAt: "", rejectionReason: "" },
+        }
+      );
+
+      const tuition = await tuitionsCollection.findOne({
+        _id: new ObjectId(order.tuitionId),
+      });
+      for (const app of reopenedApps) {
+        pushEvent(app.tutorEmail, "application:status", {
+          applicationId: app._id,
+          tuitionId: order.tuitionId,
+          status: "pending",
         });
+        await notify(app.tutorEmail, {
+          type: "application_reopened",
+          title: "Application open again",
+          message: `${tuition?.subject} is looking for a tutor again.`,
+          link: "/dashboard/my-applications",
+          data: { tuitionId: order.tuitionId, applicationId: app._id },
+        });
+        await queueEmail(app.tutorEmail, "applicationReopened", {
+          name: app.tutorName,
+          subject: tuition?.subject,
+        });
+      }
+    };
 
-        if (tuition.postedBy.email !== req.tokenEmail) {
-          return res.status(403).send({ message: "Forbidden" });
+    // Record a Stripe refund (or lost dispute) against an order. The platform
+    // commission and tutor share are reversed pro rata. Recording the same
+    // refundId twice is a no-op.
+    const applyRefund = async (
+      order,
+      { refundId, amount, reason, refundedBy }
+    ) => {
+      if (order.refunds?.some((refund) => refund.refundId === refundId)) {
+        return order;
+      }
+
+      const totalAmount = order.totalAmount || order.amount || 0;
+      const alreadyRefunded = order.refundedAmount || 0;
+      const refundAmount = roundMoney(
+        Math.min(amount, totalAmount - alreadyRefunded)
+      );
+      if (refundAmount <= 0) return order;
+
+      const ratio = totalAmount ? refundAmount / totalAmount : 0;
+      const platformCommissionReversed = roundMoney(
+        (order.platformCommission || 0) * ratio
+      );
+      const tutorAmountReversed = roundMoney(
+        refundAmount - platformCommissionReversed
+      );
+      const fullyRefunded = alreadyRefunded + refundAmount >= totalAmount;
+
+      const refund = {
+        refundId,
+        amount: refundAmount,
+        platformCommissionReversed,
+        tutorAmountReversed,
+        reason: reason || null,
+        refundedBy: refundedBy || null,
+        createdAt: new Date(),
+      };
+
+      // Guarded on the stored total as well, in case the order was refunded
+      // since it was read (a half cent absorbs float rounding)
+      const result = await ordersCollection.updateOne(
+        {
+          _id: order._id,
+          "refunds.refundId": { $ne: refundId },
+          $expr: {
+            $lte: [
+              { $add: [{ $ifNull: ["$refundedAmount", 0] }, refundAmount] },
+              totalAmount + 0.005,
+            ],
+          },
+        },
+        {
+          $push: { refunds: refund },
+          $inc: {
+            refundedAmount: refundAmount,
+            platformCommissionRefunded: platformCommissionReversed,
+            tutorAmountRefunded: tutorAmountReversed,
+          },
+          $set: {
+            status: fullyRefunded ? "refunded" : "partially_refunded",
+            refundedAt: new Date(),
+          },
         }
+      );
 
-        if (tuition.status === "approved") {
-          return res
-            .status(400)
-            .send({ message: "Cannot update approved tuition" });
+      if (!result.modifiedCount) {
+        const current = await ordersCollection.findOne({ _id: order._id });
+        if (!current.refunds?.some((r) => r.refundId === refundId)) {
+          console.error(`Refund ${refundId} exceeds order ${order._id} total`);
+          return current;
         }
+      }
 
-        const updateData = { ...req.body, updatedAt: new Date() };
-        delete updateData._id;
+      // Refunding a single monthly charge doesn't undo the hire
+      if (
+        result.modifiedCount &&
+        fullyRefunded &&
+        order.type !== "subscription"
+      ) {
+        await reopenTuition(order);
+      }
 
-        const result = await tuitionsCollection.updateOne(
-          { _id: new ObjectId(tuitionId) },
-          { $set: updateData }
-        );
+      await debitRefund(order, refund);
 
-        res.send(result);
-      } catch (error) {
-        console.error("Error updating tuition:", error);
-        res.status(500).send({ message: "Failed to update tuition" });
+      console.log(`💸 Refund ${refundId} of ${refundAmount} recorded`);
+      return ordersCollection.findOne({ _id: order._id });
+    };
+
+    // PaymentIntent to refund an order against. Subscription orders recorded
+    // before we read it from InvoicePayments hold the invoice id instead, so
+    // look it up and store it on the order for later refund webhooks.
+    const getOrderPaymentIntent = async (order) => {
+      if (order.transactionId?.startsWith("pi_")) return order.transactionId;
+      if (!order.invoiceId) return null;
+
+      const invoice = await stripe.invoices.retrieve(order.invoiceId);
+      const paymentIntent = await getInvoicePaymentIntent(invoice);
+      if (paymentIntent) {
+        await ordersCollection.updateOne(
+          { _id: order._id },
+          { $set: { transactionId: paymentIntent } }
+        );
       }
-    });
+      return paymentIntent;
+    };
 
-    // ✅ Delete tuition
-    app.delete("/tuitions/:id", verifyJWT, async (req, res) => {
-      try {
-        const tuitionId = req.params.id;
-        const tuition = await tuitionsCollection.findOne({
-          _id: new ObjectId(tuitionId),
+    // Sync every refund Stripe holds for a charge onto its order
+    const syncChargeRefunds = async (charge) => {
+      const order = await ordersCollection.findOne({
+        transactionId: charge.payment_intent,
+      });
+      if (!order) return;
+
+      const refunds = await stripe.refunds.list({
+        charge: charge.id,
+        limit: 100,
+      });
+
+      let current = order;
+      for (const refund of refunds.data) {
+        if (refund.status === "failed" || refund.status === "canceled") {
+          continue;
+        }
+        current = await applyRefund(current, {
+          refundId: refund.id,
+          amount: refund.amount / 100,
+          reason: refund.metadata?.note || refund.reason,
+          refundedBy: refund.metadata?.refundedBy,
         });
+      }
+    };
 
-        if (tuition.postedBy.email !== req.tokenEmail) {
-          return res.status(403).send({ message: "Forbidden" });
+    // Record a chargeback against its order; a lost dispute is a refund
+    const recordDispute = async (dispute) => {
+      const order = await ordersCollection.findOne({
+        transactionId: dispute.payment_intent,
+      });
+      if (!order) return;
+
+      await ordersCollection.updateOne(
+        { _id: order._id },
+        {
+          $set: {
+            dispute: {
+              disputeId: dispute.id,
+              status: dispute.status,
+              reason: dispute.reason,
+              amount: dispute.amount / 100,
+              evidenceDueBy: dispute.evidence_details?.due_by
+                ? new Date(dispute.evidence_details.due_by * 1000)
+                : null,
+              openedAt: order.dispute?.openedAt || new Date(),
+              updatedAt: new Date(),
+            },
+          },
         }
+      );
 
-        const result = await tuitionsCollection.deleteOne({
-          _id: new ObjectId(tuitionId),
+      if (dispute.status === "lost") {
+        await applyRefund(order, {
+          refundId: dispute.id,
+          amount: dispute.amount / 100,
+          reason: `dispute_lost:${dispute.reason}`,
         });
-
-        await applicationsCollection.deleteMany({ tuitionId });
-
-        res.send(result);
-      } catch (error) {
-        console.error("Error deleting tuition:", error);
-        res.status(500).send({ message: "Failed to delete tuition" });
       }
-    });
+    };
 
-    /* ================= TUTOR APPLICATIONS ================= */
+    /* ================= PAYOUT HELPERS ================= */
 
-    // ✅ Tutor applies to a tuition
-    app.post("/applications", verifyJWT, verifyTUTOR, async (req, res) => {
-      try {
-        const { tuitionId, qualifications, experience, expectedSalary } =
-          req.body;
+    // Append a ledger entry. entryKey identifies the business event
+    // (order, refund, withdrawal) so posting it twice is a no-op.
+    const postLedgerEntry = async (entry) => {
+      if (!entry.tutorEmail || !(entry.amount > 0)) return;
 
-        const existingApp = await applicationsCollection.findOne({
-          tuitionId,
-          tutorEmail: req.tokenEmail,
-        });
+      await ledgerCollection.updateOne(
+        { entryKey: entry.entryKey },
+        { $setOnInsert: { ...entry, createdAt: new Date() } },
+        { upsert: true }
+      );
+    };
 
-        if (existingApp) {
-          return res
-            .status(409)
-            .send({ message: "Already applied to this tuition" });
-        }
+    // Credit the tutor's share of an order
+    const creditOrder = (order) =>
+      postLedgerEntry({
+        entryKey: `order:${order._id}`,
+        tutorEmail: order.tutorEmail,
+        type: "credit",
+        source: "order",
+        sourceId: order._id.toString(),
+        amount: roundMoney(order.tutorAmount || order.amount || 0),
+        description: `Payment ${order.transactionId}`,
+      });
+
+    // Debit the tutor share reversed by a refund
+    const debitRefund = (order, refund) =>
+      postLedgerEntry({
+        entryKey: `refund:${order._id}:${refund.refundId}`,
+        tutorEmail: order.tutorEmail,
+        type: "debit",
+        source: "refund",
+        sourceId: order._id.toString(),
+        amount: refund.tutorAmountReversed,
+        description: `Refund ${refund.refundId}`,
+      });
+
+    // Credits minus debits, less withdrawals that are still being processed
+    const getTutorBalance = async (tutorEmail) => {
+      const [totals] = await ledgerCollection
+        .aggregate([
+          { $match: { tutorEmail } },
+          {
+            $group: {
+              _id: null,
+              credits: {
+                $sum: { $cond: [{ $eq: ["$type", "credit"] }, "$amount", 0] },
+              },
+              debits: {
+                $sum: { $cond: [{ $eq: ["$type", "debit"] }, "$amount", 0] },
+              },
+            },
+          },
+        ])
+        .toArray();
 
-        const tutor = await usersCollection.findOne({ email: req.tokenEmail });
+      const [held] = await withdrawalsCollection
+        .aggregate([
+          {
+            $match: { tutorEmail, status: { $in: ["pending", "approved"] } },
+          },
+          { $group: { _id: null, amount: { $sum: "$amount" } } },
+        ])
+        .toArray();
+
+      const credits = roundMoney(totals?.credits || 0);
+      const debits = roundMoney(totals?.debits || 0);
+      const pendingWithdrawals = roundMoney(held?.amount || 0);
+
+      return {
+        credits,
+        debits,
+        balance: roundMoney(credits - debits),
+        pendingWithdrawals,
+        available: roundMoney(credits - debits - pendingWithdrawals),
+      };
+    };
 
-        const applicationData = {
-          tuitionId,
-          tutorEmail: req.tokenEmail,
-          tutorName: tutor.name,
-          tutorImage: tutor.image,
-          qualifications,
-          experience,
-          expectedSalary: parseFloat(expectedSalary),
-          status: "pending",
-          appliedAt: new Date(),
-        };
+    // Withdrawal requests for one tutor run one at a time, so the balance
+    // check and the insert can't interleave. The lease expires on its own
+    // if a request dies while holding it. Returns null when already held.
+    const WITHDRAWAL_LOCK_MS = 30 * 1000;
+    const withWithdrawalLock = async (tutorEmail, fn) => {
+      const _id = `withdrawal-lock:${tutorEmail}`;
+      const holder = new ObjectId();
+      const now = new Date();
 
-        const result = await applicationsCollection.insertOne(applicationData);
-        res.send(result);
+      try {
+        await countersCollection.updateOne(
+          { _id, lockedUntil: { $lt: now } },
+          {
+            $set: {
+              holder,
+              lockedUntil: new Date(now.getTime() + WITHDRAWAL_LOCK_MS),
+            },
+          },
+          { upsert: true }
+        );
       } catch (error) {
-        console.error("Error creating application:", error);
-        res.status(500).send({ message: "Failed to apply" });
+        // The upsert collides with a live lease
+        if (error.code === 11000) return null;
+        throw error;
       }
-    });
 
-    // ✅ Get applications for a specific tuition
-    app.get("/tuitions/:id/applications", verifyJWT, async (req, res) => {
       try {
-        const tuitionId = req.params.id;
-        const tuition = await tuitionsCollection.findOne({
-          _id: new ObjectId(tuitionId),
-        });
-
-        if (tuition.postedBy.email !== req.tokenEmail) {
-          return res.status(403).send({ message: "Forbidden" });
-        }
-
-        const applications = await applicationsCollection
-          .find({ tuitionId })
-          .sort({ appliedAt: -1 })
-          .toArray();
-
-        res.send(applications);
-      } catch (error) {
-        console.error("Error fetching applications:", error);
-        res.status(500).send({ message: "Failed to fetch applications" });
+        return await fn();
+      } finally {
+        await countersCollection.updateOne(
+          { _id, holder },
+          { $set: { lockedUntil: new Date(0) } }
+        );
       }
-    });
-
-    // ✅ Get tutor's own applications (FIXED)
-    app.get("/my-applications", verifyJWT, verifyTUTOR, async (req, res) => {
-      try {
-        const { status } = req.query; // Add query parameter for filtering
+    };
 
-        let query = { tutorEmail: req.tokenEmail };
+    /* ================= RECEIPT HELPERS ================= */
+
+    // Sequential invoice numbers, e.g. INV-2026-000042
+    const formatInvoiceNumber = (paidAt, seq) =>
+      `INV-${new Date(paidAt).getFullYear()}-${String(seq).padStart(6, "0")}`;
+
+    // Number a freshly written order. Only the request whose upsert inserted
+    // the order calls this, so every claimed number lands on exactly one
+    // order and numbers follow payment order.
+    const assignInvoiceNumber = async (orderId, paidAt) => {
+      const counter = await countersCollection.findOneAndUpdate(
+        { _id: "invoice" },
+        { $inc: { seq: 1 } },
+        { upsert: true, returnDocument: "after" }
+      );
+
+      await ordersCollection.updateOne(
+        { _id: orderId },
+        { $set: { invoiceNumber: formatInvoiceNumber(paidAt, counter.seq) } }
+      );
+    };
 
-        // Add status filter if provided
-        if (status) {
-          query.status = status;
-        }
+    const formatBDT = (value) =>
+      `BDT ${Number(value || 0).toLocaleString("en-US", {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+      })}`;
+
+    const formatDate = (value) =>
+      value ? new Date(value).toISOString().slice(0, 10) : "-";
+
+    // Start a PDF response; the caller writes content and calls doc.end()
+    const startPdf = (res, filename) => {
+      const doc = new PDFDocument({ size: "A4", margin: 50 });
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+      doc.pipe(res);
+
+      doc.fontSize(20).text("eTuitionBD", { continued: false });
+      doc
+        .fontSize(9)
+        .fillColor("#555")
+        .text(process.env.CLIENT_DOMAIN || "");
+      doc.fillColor("#000").moveDown();
+      return doc;
+    };
 
-        const applications = await applicationsCollection
-          .find(query)
-          .sort({ appliedAt: -1 })
-          .toArray();
+    const pdfRow = (doc, label, value) => {
+      const y = doc.y;
+      doc.font("Helvetica-Bold").text(label, 50, y, { width: 180 });
+      doc.font("Helvetica").text(String(value ?? "-"), 230, y, { width: 315 });
+      doc.moveDown(0.4);
+    };
 
-        const populatedApps = await Promise.all(
-          applications.map(async (app) => {
-            const tuition = await tuitionsCollection.findOne({
-              _id: new ObjectId(app.tuitionId),
-            });
-            return { ...app, tuition };
-          })
+    const renderReceipt = (res, order, tuition) => {
+      const doc = startPdf(res, `${order.invoiceNumber || order._id}.pdf`);
+
+      doc.fontSize(16).text("Payment Receipt");
+      doc.moveDown(0.5).fontSize(10);
+
+      pdfRow(doc, "Invoice No.", order.invoiceNumber);
+      pdfRow(doc, "Date", formatDate(order.paidAt));
+      pdfRow(doc, "Transaction ID", order.transactionId);
+      pdfRow(doc, "Status", order.status);
+      if (order.billingPeriod) {
+        pdfRow(
+          doc,
+          "Billing Period",
+          `${formatDate(order.billingPeriod.start)} to ${formatDate(
+            order.billingPeriod.end
+          )}`
         );
+      }
+      doc.moveDown();
+
+      pdfRow(doc, "Student", order.studentEmail);
+      pdfRow(doc, "Tutor", order.tutorEmail);
+      pdfRow(doc, "Subject", tuition?.subject);
+      pdfRow(doc, "Class", tuition?.class);
+      pdfRow(doc, "Location", tuition?.location);
+      doc.moveDown();
+
+      const totalAmount = order.totalAmount || order.amount || 0;
+      pdfRow(doc, "Amount Paid", formatBDT(totalAmount));
+      pdfRow(
+        doc,
+        "Platform Commission",
+        `${formatBDT(order.platformCommission)} (${
+          order.commissionRule?.name || "Legacy 10%"
+        })`
+      );
+      pdfRow(doc, "Tutor Share", formatBDT(order.tutorAmount));
+      if (order.refundedAmount) {
+        pdfRow(doc, "Refunded", formatBDT(order.refundedAmount));
+        pdfRow(doc, "Net Paid", formatBDT(totalAmount - order.refundedAmount));
+      }
 
-        res.send(populatedApps);
-      } catch (error) {
-        console.error("Error fetching applications:", error);
-        res.status(500).send({ message: "Failed to fetch applications" }); // FIXED: was res.send
+      doc
+        .moveDown(2)
+        .fontSize(8)
+        .fillColor("#555")
+        .text("This is a computer generated receipt and needs no signature.");
+      doc.end();
+    };
+
+    const renderEarningsStatement = (res, { tutor, period, orders }) => {
+      const doc = startPdf(res, `statement-${period.label}.pdf`);
+
+      doc.fontSize(16).text("Earnings Statement");
+      doc.moveDown(0.5).fontSize(10);
+      pdfRow(doc, "Tutor", `${tutor?.name || ""} <${tutor?.email}>`);
+      pdfRow(doc, "Period", period.label);
+      pdfRow(doc, "Generated", formatDate(new Date()));
+      doc.moveDown();
+
+      // Paid is gross and Refunded is shown beside it; Commission and Your
+      // Share are net of refunds, so every column adds up to its total
+      const columns = [
+        ["Date", 50, 60],
+        ["Invoice", 110, 95],
+        ["Subject", 205, 80],
+        ["Paid", 285, 65],
+        ["Refunded", 350, 65],
+        ["Commission", 415, 65],
+        ["Your Share", 480, 65],
+      ];
+      const drawRow = (values, bold) => {
+        const y = doc.y;
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+        columns.forEach(([, x, width], i) =>
+          doc.text(String(values[i] ?? "-"), x, y, { width })
+        );
+        doc.moveDown(0.3);
+      };
+
+      drawRow(
+        columns.map(([title]) => title),
+        true
+      );
+
+      let paid = 0;
+      let refunded = 0;
+      let commission = 0;
+      let share = 0;
+      for (const order of orders) {
+        const netCommission =
+          (order.platformCommission || 0) -
+          (order.platformCommissionRefunded || 0);
+        const netShare =
+          (order.tutorAmount || 0) - (order.tutorAmountRefunded || 0);
+        paid += order.totalAmount || 0;
+        refunded += order.refundedAmount || 0;
+        commission += netCommission;
+        share += netShare;
+        drawRow([
+          formatDate(order.paidAt),
+          order.invoiceNumber,
+          order.tuition?.subject,
+          formatBDT(order.totalAmount),
+          formatBDT(order.refundedAmount),
+          formatBDT(netCommission),
+          formatBDT(netShare),
+        ]);
       }
-    });
 
-    // ✅ Update application
-    app.patch("/applications/:id", verifyJWT, verifyTUTOR, async (req, res) => {
-      try {
-        const appId = req.params.id;
-        const application = await applicationsCollection.findOne({
-          _id: new ObjectId(appId),
-        });
+      doc.moveDown(0.5);
+      drawRow(
+        [
+          "Total",
+          `${orders.length} payments`,
+          "",
+          formatBDT(paid),
+          formatBDT(refunded),
+          formatBDT(commission),
+          formatBDT(share),
+        ],
+        true
+      );
+
+      doc.end();
+    };
 
-        if (application.tutorEmail !== req.tokenEmail) {
-          return res.status(403).send({ message: "Forbidden" });
+    /* ================= TUITION SEARCH HELPERS ================= */
+
+    // Weighted text index; language "none" so Bangla and English tokens are
+    // indexed as-is instead of being run through an English stemmer
+    tuitionsCollection
+      .createIndex(
+        {
+          subject: "text",
+          class: "text",
+          location: "text",
+          description: "text",
+          medium: "text",
+        },
+        {
+          name: "tuition_text_search",
+          default_language: "none",
+          weights: {
+            subject: 10,
+            class: 6,
+            location: 5,
+            medium: 3,
+            description: 1,
+          },
         }
+      )
+      .catch((err) => console.error("Failed to create text index:", err));
+
+    // Distance search on tuitions and tutor profiles
+    tuitionsCollection
+      .createIndex({ geo: "2dsphere" })
+      .catch((err) => console.error("Failed to create geo index:", err));
+    tutorsCollection
+      .createIndex({ geo: "2dsphere" })
+      .catch((err) => console.error("Failed to create geo index:", err));
+
+    // Words that occur in approved tuitions, used to correct typos
+    const searchVocabulary = { words: [], loadedAt: 0 };
+    const SEARCH_VOCABULARY_TTL = 5 * 60 * 1000;
+
+    const getSearchVocabulary = async () => {
+      if (Date.now() - searchVocabulary.loadedAt < SEARCH_VOCABULARY_TTL) {
+        return searchVocabulary.words;
+      }
 
-        if (application.status !== "pending") {
-          return res
-            .status(400)
-            .send({ message: "Cannot update non-pending application" });
+      const words = new Set();
+      const cursor = tuitionsCollection.find(
+        { status: "approved", deletedAt: null },
+        {
+          projection: {
+            subject: 1,
+            class: 1,
+            location: 1,
+            description: 1,
+            medium: 1,
+          },
+        }
+      );
+      for await (const tuition of cursor) {
+        for (const field of [
+          tuition.subject,
+          tuition.class,
+          tuition.location,
+          tuition.description,
+          tuition.medium,
+        ]) {
+          tokenize(field).forEach((word) => words.add(word));
         }
-
-        const { qualifications, experience, expectedSalary } = req.body;
-        const result = await applicationsCollection.updateOne(
-          { _id: new ObjectId(appId) },
-          {
-            $set: {
-              qualifications,
-              experience,
-              expectedSalary: parseFloat(expectedSalary),
-              updatedAt: new Date(),
-            },
-          }
-        );
-
-        res.send(result);
-      } catch (error) {
-        console.error("Error updating application:", error);
-        res.status(500).send({ message: "Failed to update application" });
       }
-    });
-
-    // ✅ Delete application
-    app.delete(
-      "/applications/:id",
-      verifyJWT,
-      verifyTUTOR,
-      async (req, res) => {
-        try {
-          const appId = req.params.id;
-          const application = await applicationsCollection.findOne({
-            _id: new ObjectId(appId),
-          });
 
-          if (application.tutorEmail !== req.tokenEmail) {
-            return res.status(403).send({ message: "Forbidden" });
-          }
+      searchVocabulary.words = [...words];
+      searchVocabulary.loadedAt = Date.now();
+      return searchVocabulary.words;
+    };
 
-          if (application.status !== "pending") {
-            return res
-              .status(400)
-              .send({ message: "Cannot delete non-pending application" });
-          }
+    // Add close spellings from the vocabulary to each search token:
+    // one typo for short words, two for words of 8+ characters
+    const expandSearchTerms = async (search) => {
+      const vocabulary = await getSearchVocabulary();
+      const terms = new Set();
 
-          const result = await applicationsCollection.deleteOne({
-            _id: new ObjectId(appId),
-          });
+      for (const token of tokenize(search)) {
+        terms.add(token);
+        if (token.length < 4) continue;
 
-          res.send(result);
-        } catch (error) {
-          console.error("Error deleting application:", error);
-          res.status(500).send({ message: "Failed to delete application" });
+        const maxTypos = token.length >= 8 ? 2 : 1;
+        for (const word of vocabulary) {
+          if (editDistance(token, word, maxTypos) <= maxTypos) {
+            terms.add(word);
+          }
         }
       }
-    );
 
-    // ✅ Student rejects a tutor application
-    app.patch("/applications/:id/reject", verifyJWT, async (req, res) => {
-      try {
-        const appId = req.params.id;
-        const application = await applicationsCollection.findOne({
-          _id: new ObjectId(appId),
-        });
+      return [...terms];
+    };
 
-        const tuition = await tuitionsCollection.findOne({
-          _id: new ObjectId(application.tuitionId),
-        });
+    // Parse ?near=lat,lng (or ?nearArea=Mirpur) and ?radius=km
+    const parseNearPoint = ({ near, nearArea, radius }) => {
+      if (!near && !nearArea) return {};
 
-        if (tuition.postedBy.email !== req.tokenEmail) {
-          return res.status(403).send({ message: "Forbidden" });
+      let point;
+      if (near) {
+        const [latitude, longitude] = String(near).split(",").map(Number);
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+          return { error: "near must be latitude,longitude" };
         }
-
-        const result = await applicationsCollection.updateOne(
-          { _id: new ObjectId(appId) },
-          { $set: { status: "rejected", rejectedAt: new Date() } }
-        );
-
-        res.send(result);
-      } catch (error) {
-        console.error("Error rejecting application:", error);
-        res.status(500).send({ message: "Failed to reject application" });
+        point = toPoint(latitude, longitude);
+      } else {
+        const place = geocodeLocation(nearArea);
+        if (!place) return { error: `Unknown area: ${nearArea}` };
+        point = place.geo;
       }
-    });
-
-    /* ================= PAYMENTS ================= */
-
-    // ✅ Create checkout session
-    app.post("/create-checkout-session", verifyJWT, async (req, res) => {
-      try {
-        const { applicationId, tuitionId, expectedSalary } = req.body;
-
-        const application = await applicationsCollection.findOne({
-          _id: new ObjectId(applicationId),
-        });
-
-        const tuition = await tuitionsCollection.findOne({
-          _id: new ObjectId(tuitionId),
-        });
-
-        const session = await stripe.checkout.sessions.create({
-          line_items: [
-            {
-              price_data: {
-                currency: "bdt",
-                product_data: {
-                  name: `Tuition Payment - ${tuition.subject}`,
-                  description: `Class ${tuition.class} - ${tuition.location}`,
-                },
-                unit_amount: expectedSalary * 100,
-              },
-              quantity: 1,
-            },
-          ],
-          customer_email: req.tokenEmail,
-          mode: "payment",
-          metadata: {
-            applicationId,
-            tuitionId,
-            studentEmail: req.tokenEmail,
-            tutorEmail: application.tutorEmail,
-          },
-          success_url: `${process.env.CLIENT_DOMAIN}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
-          cancel_url: `${process.env.CLIENT_DOMAIN}/dashboard/my-tuitions`,
-        });
 
-        res.send({ url: session.url });
-      } catch (error) {
-        console.error("Error creating checkout session:", error);
-        res.status(500).send({ message: "Failed to create payment session" });
+      const radiusKm = radius === undefined ? 5 : Number(radius);
+      if (!(radiusKm > 0 && radiusKm <= 50)) {
+        return { error: "radius must be between 0 and 50 km" };
       }
-    });
 
-    // ✅ Handle successful payment (FIXED WITH DETAILED LOGGING)
-    app.post("/payment-success", verifyJWT, async (req, res) => {
-      try {
-        const { sessionId } = req.body;
-        console.log("📝 Processing payment for session:", sessionId);
+      return { near: { point, radiusKm } };
+    };
 
-        const session = await stripe.checkout.sessions.retrieve(sessionId);
+    // Shared by /tuitions/search and /tuitions/paginated.
+    // mode=text ranks matches with the text index; the default mode keeps
+    // the original subject/location substring search. near/radius limit
+    // results to a circle and sort=distance orders them nearest first.
+    const buildTuitionSearch = async ({
+      search,
+      subject,
+      class: className,
+      location,
+      sort,
+      mode,
+      near: nearParam,
+      nearArea,
+      radius,
+    }) => {
+      const { near, error } = parseNearPoint({
+        near: nearParam,
+        nearArea,
+        radius,
+      });
+      if (error) return { error };
+
+      if (sort === "distance" && !near) {
+        return { error: "sort=distance needs a near point" };
+      }
+      if (near && search && mode === "text") {
+        return { error: "Text search can't be combined with near" };
+      }
 
-        const { applicationId, tuitionId, studentEmail, tutorEmail } =
-          session.metadata;
+      let query = { status: "approved", deletedAt: null };
+      let textSearch = false;
 
-        console.log("📝 Payment metadata:", {
-          applicationId,
-          tuitionId,
-          studentEmail,
-          tutorEmail,
-        });
+      if (search && mode === "text") {
+        const terms = await expandSearchTerms(search);
+        if (terms.length) {
+          query.$text = { $search: terms.join(" ") };
+          textSearch = true;
+        }
+      } else if (search) {
+        query.$or = [
+          { subject: { $regex: escapeRegex(search), $options: "i" } },
+          { location: { $regex: escapeRegex(search), $options: "i" } },
+        ];
+      }
 
-        const exists = await ordersCollection.findOne({
-          transactionId: session.payment_intent,
-        });
+      if (subject) query.subject = subject;
+      if (className) query.class = className;
+      if (location) {
+        query.location = { $regex: escapeRegex(location), $options: "i" };
+      }
 
-        if (exists) {
-          console.log("⚠️ Payment already processed");
-          return res.send(exists);
-        }
+      let sortOption = textSearch
+        ? { score: { $meta: "textScore" }, createdAt: -1 }
+        : { createdAt: -1 };
+      if (sort === "budget-asc") sortOption = { budget: 1 };
+      if (sort === "budget-desc") sortOption = { budget: -1 };
+      if (sort === "date-asc") sortOption = { createdAt: 1 };
+      if (sort === "date-desc") sortOption = { createdAt: -1 };
+
+      const projection = textSearch ? { score: { $meta: "textScore" } } : {};
+
+      if (near) {
+        near.byDistance = !sort || sort === "distance";
+        near.baseQuery = { ...query };
+        // Same circle as $geoNear, usable by count and facets
+        query.geo = {
+          $geoWithin: {
+            $centerSphere: [
+              near.point.coordinates,
+              near.radiusKm / EARTH_RADIUS_KM,
+            ],
+          },
+        };
+      }
 
-        console.log("💰 Stripe session amount_total:", session.amount_total);
-        console.log("💵 Calculated amount:", session.amount_total / 100);
+      return { query, sortOption, projection, near };
+    };
 
-        // Calculate platform commission (10%)
-        const totalAmount = Number(session.amount_total / 100) || 0;
-        const platformCommission = totalAmount * 0.1; // 10% commission
-        const tutorAmount = totalAmount - platformCommission;
+    // Run a search built by buildTuitionSearch. Near searches go through
+    // $geoNear so every result carries its distance.
+    const findTuitions = ({ query, sortOption, projection, near }, page) => {
+      if (!near) {
+        let cursor = tuitionsCollection
+          .find(query, { projection })
+          .sort(sortOption);
+        if (page) cursor = cursor.skip(page.skip).limit(page.limit);
+        return cursor.toArray();
+      }
 
-        console.log("💵 Total Amount:", totalAmount);
-        console.log("💰 Platform Commission (10%):", platformCommission);
-        console.log("👨‍🏫 Tutor Amount:", tutorAmount);
+      const pipeline = [
+        {
+          $geoNear: {
+            near: near.point,
+            key: "geo",
+            distanceField: "distance",
+            maxDistance: near.radiusKm * 1000,
+            query: near.baseQuery,
+            spherical: true,
+          },
+        },
+        {
+          $addFields: {
+            distanceKm: { $round: [{ $divide: ["$distance", 1000] }, 2] },
+          },
+        },
+      ];
+      if (!near.byDistance) pipeline.push({ $sort: sortOption });
+      if (page) pipeline.push({ $skip: page.skip }, { $limit: page.limit });
 
-        const paymentRecord = {
-          applicationId,
-          tuitionId,
-          transactionId: session.payment_intent,
-          studentEmail,
-          tutorEmail,
-          totalAmount: totalAmount,
-          platformCommission: platformCommission,
-          tutorAmount: tutorAmount,
-          amount: totalAmount, // Keep for backward compatibility
-          status: "completed",
-          paidAt: new Date(),
-        };
+      return tuitionsCollection.aggregate(pipeline).toArray();
+    };
 
-        console.log("📝 Payment record to be saved:", paymentRecord);
+    // Counts per subject, class and location for the browse page filters
+    const getTuitionFacets = async (query) => {
+      const countBy = (field) => [
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+        { $match: { _id: { $nin: [null, ""] } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $project: { _id: 0, value: "$_id", count: 1 } },
+      ];
+
+      const [facets] = await tuitionsCollection
+        .aggregate([
+          { $match: query },
+          {
+            $facet: {
+              subject: countBy("subject"),
+              class: countBy("class"),
+              location: countBy("location"),
+            },
+          },
+        ])
+        .toArray();
 
-        await ordersCollection.insertOne(paymentRecord);
-        console.log("✅ Payment record created successfully");
+      return facets;
+    };
 
-        // Update the application status to approved
-        const updateResult = await applicationsCollection.updateOne(
-          { _id: new ObjectId(applicationId) },
-          { $set: { status: "approved", approvedAt: new Date() } }
-        );
-        console.log(
-          "✅ Application approved:",
-          updateResult.modifiedCount,
-          "documents updated"
-        );
+    /* ================= SAVED SEARCH HELPERS ================= */
 
-        // Verify the update
-        const updatedApp = await applicationsCollection.findOne({
-          _id: new ObjectId(applicationId),
-        });
-        console.log("✅ Verified application status:", updatedApp?.status);
+    const SAVED_SEARCH_LIMIT = 20;
+    const DIGEST_INTERVAL = 24 * 60 * 60 * 1000;
 
-        // Reject all other pending applications for this tuition
-        const rejectResult = await applicationsCollection.updateMany(
+    searchAlertsCollection
+      .createIndex(
+        { savedSearchId: 1, tuitionId: 1 },
+        {
+          unique: true,
+          partialFilterExpression: { type: "match" },
+        }
+      )
+      .catch((err) => console.error("Failed to create alerts index:", err));
+
+    // Called when a tuition is approved: one alert per matching saved
+    // search. Instant alerts show in the feed now; daily ones wait for the
+    // digest job.
+    const alertSavedSearches = async (tuition) => {
+      const tuitionId = tuition._id.toString();
+      const summary = {
+        subject: tuition.subject,
+        class: tuition.class,
+        location: tuition.location,
+        budget: tuition.budget,
+      };
+
+      const cursor = savedSearchesCollection.find({
+        alertMode: { $ne: "off" },
+        tutorEmail: { $ne: tuition.postedBy?.email },
+      });
+
+      let alerted = 0;
+      for await (const savedSearch of cursor) {
+        if (!matchesSavedSearch(savedSearch.filters, tuition)) continue;
+
+        const result = await searchAlertsCollection.updateOne(
+          { type: "match", savedSearchId: savedSearch._id, tuitionId },
           {
-            tuitionId,
-            _id: { $ne: new ObjectId(applicationId) },
-            status: "pending",
+            $setOnInsert: {
+              tutorEmail: savedSearch.tutorEmail,
+              savedSearchName: savedSearch.name,
+              tuition: summary,
+              mode: savedSearch.alertMode,
+              delivered: savedSearch.alertMode === "instant",
+              read: false,
+              createdAt: new Date(),
+            },
           },
-          { $set: { status: "rejected", rejectedAt: new Date() } }
-        );
-        console.log(
-          "✅ Other applications rejected:",
-          rejectResult.modifiedCount,
-          "documents updated"
+          { upsert: true }
         );
+        if (!result.upsertedCount) continue;
+        alerted++;
+
+        if (savedSearch.alertMode === "instant") {
+          await notify(savedSearch.tutorEmail, {
+            type: "saved_search_match",
+            title: `New tuition for "${savedSearch.name}"`,
+            message: `${tuition.subject}, Class ${tuition.class} in ${tuition.location}`,
+            link: `/tuitions/${tuitionId}`,
+            data: { tuitionId, savedSearchId: savedSearch._id },
+          });
+        }
+      }
 
-        // Update tuition status to hired
-        const tuitionUpdateResult = await tuitionsCollection.updateOne(
-          { _id: new ObjectId(tuitionId) },
+      console.log(`🔔 ${alerted} saved search alerts for tuition ${tuitionId}`);
+    };
+
+    // Batch undelivered daily alerts into one digest per tutor, at most
+    // once every 24 hours per tutor
+    const runSavedSearchDigest = async () => {
+      const pending = await searchAlertsCollection
+        .aggregate([
+          { $match: { type: "match", mode: "daily", delivered: false } },
           {
-            $set: {
-              status: "hired",
-              hiredTutor: tutorEmail,
-              hiredAt: new Date(),
+            $group: {
+              _id: "$tutorEmail",
+              alertIds: { $push: "$_id" },
+              tuitions: {
+                $push: {
+                  tuitionId: "$tuitionId",
+                  savedSearchName: "$savedSearchName",
+                  tuition: "$tuition",
+                },
+              },
             },
-          }
+          },
+        ])
+        .toArray();
+
+      let digests = 0;
+      for (const group of pending) {
+        const lastDigest = await searchAlertsCollection.findOne(
+          { type: "digest", tutorEmail: group._id },
+          { sort: { createdAt: -1 } }
         );
-        console.log(
-          "✅ Tuition marked as hired:",
-          tuitionUpdateResult.modifiedCount,
-          "documents updated"
+        if (lastDigest && Date.now() - lastDigest.createdAt < DIGEST_INTERVAL) {
+          continue;
+        }
+
+        await searchAlertsCollection.insertOne({
+          type: "digest",
+          tutorEmail: group._id,
+          count: group.tuitions.length,
+          tuitions: group.tuitions,
+          delivered: true,
+          read: false,
+          createdAt: new Date(),
+        });
+        await searchAlertsCollection.updateMany(
+          { _id: { $in: group.alertIds } },
+          { $set: { delivered: true, digestedAt: new Date() } }
         );
+        await notify(group._id, {
+          type: "saved_search_digest",
+          title: "Your daily tuition digest",
+          message: `${group.tuitions.length} new tuitions match your saved searches.`,
+          link: "/dashboard/saved-searches",
+          data: { count: group.tuitions.length },
+        });
+        digests++;
+      }
 
-        res.send({ message: "Payment successful", paymentRecord });
+      return digests;
+    };
+
+    // Hourly check; each tutor still gets at most one digest a day
+    if (BACKGROUND_JOBS_ENABLED) {
+      setInterval(
+        () => {
+          runSavedSearchDigest().catch((err) =>
+            console.error("Saved search digest failed:", err)
+          );
+        },
+        60 * 60 * 1000
+      ).unref();
+    }
+
+    /* ================= PUBLIC ENDPOINTS ================= */
+
+    // ✅ Get latest tuitions (for home page)
+    app.get("/latest-tuitions", async (req, res) => {
+      try {
+        const result = await tuitionsCollection
+          .find({ status: "approved", deletedAt: null })
+          .sort({ createdAt: -1 })
+          .limit(6)
+          .toArray();
+        res.send(result);
       } catch (error) {
-        console.error("❌ Error processing payment:", error);
-        res.status(500).send({ message: "Failed to process payment" });
+        console.error("Error fetching latest tuitions:", error);
+        res.status(500).send({ message: "Failed to fetch latest tuitions" });
       }
     });
 
-    // ✅ Get student's payment history
-    app.get("/my-payments", verifyJWT, async (req, res) => {
+    // Profiles shown to students. A newly approved tutor's profile stays
+    // out of the listings until they fill it in; profiles from before the
+    // flag existed have no profileComplete field and stay listed.
+    const PUBLIC_TUTOR_FILTER = {
+      status: "Active",
+      profileComplete: { $ne: false },
+    };
+
+    // ✅ Get latest tutors (for home page, ?sort=rating for top rated)
+    app.get("/latest-tutors", async (req, res) => {
       try {
-        const payments = await ordersCollection
-          .find({ studentEmail: req.tokenEmail })
-          .sort({ paidAt: -1 })
+        const tutors = await tutorsCollection
+          .find(PUBLIC_TUTOR_FILTER)
+          .sort(TUTOR_SORTS[req.query.sort] || TUTOR_SORTS.newest)
+          .limit(6)
           .toArray();
+        res.send(tutors);
+      } catch (error) {
+        console.error("Error fetching latest tutors:", error);
+        res.status(500).send({ message: "Failed to fetch latest tutors" });
+      }
+    });
 
-        const populatedPayments = await Promise.all(
-          payments.map(async (payment) => {
-            const tuition = await tuitionsCollection.findOne({
-              _id: new ObjectId(payment.tuitionId),
-            });
-            return { ...payment, tuition };
-          })
-        );
-
-        res.send(populatedPayments);
+    // ✅ Get all active tutors (public, ?sort=rating|reviews|newest)
+    app.get("/tutors", async (req, res) => {
+      try {
+        const query = tutorsCollection.find(PUBLIC_TUTOR_FILTER);
+        if (TUTOR_SORTS[req.query.sort])
+          query.sort(TUTOR_SORTS[req.query.sort]);
+        const tutors = await query.toArray();
+        res.send(tutors);
       } catch (error) {
-        console.error("Error fetching payments:", error);
-        res.status(500).send({ message: "Failed to fetch payments" });
+        console.error("Error fetching tutors:", error);
+        res.status(500).send({ message: "Failed to fetch tutors" });
       }
     });
 
-    // ✅ Get tutor's revenue history (FIXED - with tuition details and commission)
-    app.get("/tutor-revenue", verifyJWT, verifyTUTOR, async (req, res) => {
+    // ✅ Get tutor profile by ID (secure - doesn't expose email in URL)
+    app.get("/tutors/profile/:id", async (req, res) => {
       try {
-        const revenue = await ordersCollection
-          .find({ tutorEmail: req.tokenEmail })
-          .sort({ paidAt: -1 })
-          .toArray();
+        const { id } = req.params;
 
-        // Populate tuition details for each payment
-        const populatedRevenue = await Promise.all(
-          revenue.map(async (payment) => {
-            const tuition = await tuitionsCollection.findOne({
-              _id: new ObjectId(payment.tuitionId),
-            });
-            return { ...payment, tuition };
-          })
-        );
+        // Validate ObjectId
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid tutor ID" });
+        }
 
-        // Calculate total revenue (tutor's portion only, after platform commission)
-        const totalRevenue = revenue.reduce(
-          (sum, payment) => sum + (payment.tutorAmount || payment.amount || 0),
-          0
-        );
+        const tutor = await tutorsCollection.findOne({
+          _id: new ObjectId(id),
+        });
 
-        res.send({ revenue: populatedRevenue, totalRevenue });
+        if (!tutor || tutor.status === "Inactive") {
+          return res.status(404).send({ message: "Tutor not found" });
+        }
+
+        res.send(tutor);
       } catch (error) {
-        console.error("Error fetching revenue:", error);
-        res.status(500).send({ message: "Failed to fetch revenue" });
+        console.error("Error fetching tutor profile:", error);
+        res.status(500).send({ message: "Failed to fetch tutor profile" });
       }
     });
 
-    // ✅ Get tutor's ongoing tuitions
-    app.get(
-      "/tutor-ongoing-tuitions",
+    // ✅ Get single tutor profile by email (legacy - kept for backward compatibility)
+    app.get("/tutors/:email", async (req, res) => {
+      try {
+        const tutor = await tutorsCollection.findOne({
+          email: req.params.email,
+        });
+        if (!tutor || tutor.status === "Inactive") {
+          return res.status(404).send({ message: "Tutor not found" });
+        }
+        res.send(tutor);
+      } catch (error) {
+        console.error("Error fetching tutor:", error);
+        res.status(500).send({ message: "Failed to fetch tutor" });
+      }
+    });
+
+    /* ================= TUITIONS (STUDENT CRUD) ================= */
+
+    // ✅ Student can post tuition (status: pending by default)
+    app.post(
+      "/tuitions",
       verifyJWT,
-      verifyTUTOR,
+      requirePermission("tuitions:post"),
       async (req, res) => {
         try {
-          const tuitions = await tuitionsCollection
-            .find({
-              status: "hired",
-              hiredTutor: req.tokenEmail,
-            })
-            .sort({ hiredAt: -1 })
-            .toArray();
+          // The tuition form sends extra display fields; ignore them
+          const { value, errors } = validateSchema(TUITION_SCHEMA, req.body, {
+            readOnly: TUITION_SERVER_FIELDS,
+            stripUnknown: true,
+          });
+          if (errors) {
+            return res
+              .status(400)
+              .send({ message: "Invalid tuition data", errors });
+          }
 
-          res.send(tuitions);
+          const place = placeTuition(value);
+          if (place.errors) {
+            return res
+              .status(400)
+              .send({ message: "Invalid tuition data", errors: place.errors });
+          }
+
+          const tuitionData = {
+            ...place.fields,
+            postedBy: {
+              email: req.tokenEmail,
+              name: value.studentName,
+            },
+            status: "pending",
+            createdAt: new Date(),
+          };
+          const result = await tuitionsCollection.insertOne(tuitionData);
+          res.send(result);
         } catch (error) {
-          console.error("Error fetching ongoing tuitions:", error);
-          res.status(500).send({ message: "Failed to fetch tuitions" });
+          console.error("Error creating tuition:", error);
+          res.status(500).send({ message: "Failed to create tuition" });
         }
       }
     );
 
-    /* ================= USERS ================= */
-
-    app.post("/user", async (req, res) => {
+    // ✅ Get all APPROVED tuitions (public - for tutors to browse)
+    app.get("/tuitions", async (req, res) => {
       try {
-        const userData = {
-          ...req.body,
-          role: (req.body.role || "student").toLowerCase(),
-          created_at: new Date(),
-          last_loggedIn: new Date(),
-        };
-
-        const exists = await usersCollection.findOne({
-          email: userData.email,
-        });
-
-        if (exists) {
-          await usersCollection.updateOne(
-            { email: userData.email },
-            { $set: { last_loggedIn: new Date() } }
-          );
-          return res.send({ message: "User updated" });
-        }
-
-        const result = await usersCollection.insertOne(userData);
+        const result = await tuitionsCollection
+          .find({ status: "approved", deletedAt: null })
+          .sort({ createdAt: -1 })
+          .toArray();
         res.send(result);
       } catch (error) {
-        console.error("Error saving user:", error);
-        res.status(500).send({ message: "Failed to save user" });
+        console.error("Error fetching tuitions:", error);
+        res.status(500).send({ message: "Failed to fetch tuitions" });
       }
     });
 
-    app.get("/user/role", verifyJWT, async (req, res) => {
+    // ✅ Search, Filter & Sort tuitions
+    // ?mode=text for ranked, typo tolerant search; ?facets=true to also get
+    // filter counts (response becomes { tuitions, facets })
+    app.get("/tuitions/search", async (req, res) => {
       try {
-        const user = await usersCollection.findOne({ email: req.tokenEmail });
-        res.send({ role: user?.role || "student" });
-      } catch (error) {
-        console.error("Error fetching role:", error);
-        res.status(500).send({ message: "Failed to fetch role" });
-      }
-    });
+        const tuitionSearch = await buildTuitionSearch(req.query);
+        if (tuitionSearch.error) {
+          return res.status(400).send({ message: tuitionSearch.error });
+        }
 
-    // ✅ Get own profile
-    app.get("/profile", verifyJWT, async (req, res) => {
-      try {
-        const user = await usersCollection.findOne({ email: req.tokenEmail });
-        if (!user) {
-          return res.status(404).send({ message: "User not found" });
+        const result = await findTuitions(tuitionSearch);
+
+        if (req.query.facets === "true") {
+          const facets = await getTuitionFacets(tuitionSearch.query);
+          return res.send({ tuitions: result, facets });
         }
-        res.send(user);
+
+        res.send(result);
       } catch (error) {
-        console.error("Error fetching profile:", error);
-        res.status(500).send({ message: "Failed to fetch profile" });
+        console.error("Error searching tuitions:", error);
+        res.status(500).send({ message: "Failed to search tuitions" });
       }
     });
 
-    // ✅ Update own profile
-    app.patch("/profile", verifyJWT, async (req, res) => {
+    // ✅ Pagination for tuitions
+    app.get("/tuitions/paginated", async (req, res) => {
       try {
-        const { name, image, phone } = req.body;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 9;
+        const skip = (page - 1) * limit;
 
-        const updateData = {};
-        if (name) updateData.name = name;
-        if (image) updateData.image = image;
-        if (phone) updateData.phone = phone;
-        updateData.updatedAt = new Date();
+        const tuitionSearch = await buildTuitionSearch(req.query);
+        if (tuitionSearch.error) {
+          return res.status(400).send({ message: tuitionSearch.error });
+        }
 
-        const result = await usersCollection.updateOne(
-          { email: req.tokenEmail },
-          { $set: updateData }
+        const total = await tuitionsCollection.countDocuments(
+          tuitionSearch.query
         );
+        const tuitions = await findTuitions(tuitionSearch, { skip, limit });
 
-        res.send(result);
+        const response = {
+          tuitions,
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalTuitions: total,
+        };
+        if (req.query.facets === "true") {
+          response.facets = await getTuitionFacets(tuitionSearch.query);
+        }
+
+        res.send(response);
       } catch (error) {
-        console.error("Error updating profile:", error);
-        res.status(500).send({ message: "Failed to update profile" });
+        console.error("Error fetching paginated tuitions:", error);
+        res.status(500).send({ message: "Failed to fetch tuitions" });
       }
     });
 
-    // ✅ Get all users (admin)
-    app.get("/users", verifyJWT, verifyADMIN, async (req, res) => {
+    // ✅ Get single tuition details
+    app.get("/tuitions/:id", async (req, res) => {
       try {
-        const users = await usersCollection.find().toArray();
-        res.send(users);
+        const result = await tuitionsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+          deletedAt: null,
+        });
+        if (!result) {
+          return res.status(404).send({ message: "Tuition not found" });
+        }
+        res.send(result);
       } catch (error) {
-        console.error("Error fetching users:", error);
-        res.status(500).send({ message: "Failed to fetch users" });
+        console.error("Error fetching tuition:", error);
+        res.status(500).send({ message: "Failed to fetch tuition" });
       }
     });
 
-    // ✅ Update user (admin)
-    app.patch("/users/:email", verifyJWT, verifyADMIN, async (req, res) => {
+    // ✅ Get student's own tuitions
+    app.get("/my-tuitions", verifyJWT, async (req, res) => {
       try {
-        const email = req.params.email;
-        const { name, role, image } = req.body;
-
-        const updateData = {};
-        if (name) updateData.name = name;
-        if (role) updateData.role = role.toLowerCase();
-        if (image) updateData.image = image;
-
-        const result = await usersCollection.updateOne(
-          { email },
-          { $set: updateData }
-        );
-
+        const result = await tuitionsCollection
+          .find({ "postedBy.email": req.tokenEmail, deletedAt: null })
+          .sort({ createdAt: -1 })
+          .toArray();
         res.send(result);
       } catch (error) {
-        console.error("Error updating user:", error);
-        res.status(500).send({ message: "Failed to update user" });
+        console.error("Error fetching my tuitions:", error);
+        res.status(500).send({ message: "Failed to fetch tuitions" });
       }
     });
 
-    // ✅ Delete user (admin)
-    app.delete("/users/:email", verifyJWT, verifyADMIN, async (req, res) => {
+    // ✅ Update tuition
+    app.patch("/tuitions/:id", verifyJWT, async (req, res) => {
       try {
-        const email = req.params.email;
+        const tuitionId = req.params.id;
+        const tuition = await tuitionsCollection.findOne({
+          _id: new ObjectId(tuitionId),
+          deletedAt: null,
+        });
+        if (!tuition) {
+          return res.status(404).send({ message: "Tuition not found" });
+        }
+
+        if (tuition.postedBy.email !== req.tokenEmail) {
+          return res.status(403).send({ message: "Forbidden" });
+        }
+
+        if (tuition.status === "approved") {
+          return res
+            .status(400)
+            .send({ message: "Cannot update approved tuition" });
+        }
+
+        const { value, errors } = validateSchema(TUITION_SCHEMA, req.body, {
+          partial: true,
+          readOnly: TUITION_SERVER_FIELDS,
+          stripUnknown: true,
+        });
+        if (errors) {
+          return res
+            .status(400)
+            .send({ message: "Invalid tuition data", errors });
+        }
 
-        if (email === req.tokenEmail) {
+        const place = placeTuition(value, tuition);
+        if (place.errors) {
           return res
             .status(400)
-            .send({ message: "Cannot delete your own account" });
+            .send({ message: "Invalid tuition data", errors: place.errors });
         }
 
-        const result = await usersCollection.deleteOne({ email });
+        const update = { $set: { ...place.fields, updatedAt: new Date() } };
+        if (Object.keys(place.unset).length) update.$unset = place.unset;
+
+        const result = await tuitionsCollection.updateOne(
+          { _id: new ObjectId(tuitionId) },
+          update
+        );
+
         res.send(result);
       } catch (error) {
-        console.error("Error deleting user:", error);
-        res.status(500).send({ message: "Failed to delete user" });
+        console.error("Error updating tuition:", error);
+        res.status(500).send({ message: "Failed to update tuition" });
       }
     });
 
-    /* ================= BECOME TUTOR ================= */
-
-    app.post("/become-tutor", verifyJWT, async (req, res) => {
+    // ✅ Delete tuition
+    app.delete("/tuitions/:id", verifyJWT, async (req, res) => {
       try {
-        const email = req.tokenEmail;
-        const user = await usersCollection.findOne({ email });
+        const tuitionId = req.params.id;
+        const tuition = await tuitionsCollection.findOne({
+          _id: new ObjectId(tuitionId),
+          deletedAt: null,
+        });
+        if (!tuition) {
+          return res.status(404).send({ message: "Tuition not found" });
+        }
 
-        if (user?.role?.toLowerCase() === "tutor") {
-          return res.status(400).send({ message: "Already a Tutor" });
+        if (tuition.postedBy.email !== req.tokenEmail) {
+          return res.status(403).send({ message: "Forbidden" });
         }
 
-        const alreadyRequested = await tutorRequestsCollection.findOne({
-          email,
-          status: "pending",
-        });
+        // Soft delete: the tuition and its applications are hidden and an
+        // admin can restore them together
+        const result = await tuitionsCollection.updateOne(
+          { _id: tuition._id, deletedAt: null },
+          softDelete(req.tokenEmail)
+        );
 
-        if (alreadyRequested) {
-          return res.status(409).send({ message: "Request already sent" });
-        }
+        await applicationsCollection.updateMany(
+          { tuitionId, deletedAt: null },
+          softDelete(req.tokenEmail, { type: "tuition", id: tuitionId })
+        );
 
-        const result = await tutorRequestsCollection.insertOne({
-          email,
-          name: user.name,
-          image: user.image,
-          status: "pending",
-          requestedAt: new Date(),
+        res.send(result);
+      } catch (error) {
+        console.error("Error deleting tuition:", error);
+        res.status(500).send({ message: "Failed to delete tuition" });
+      }
+    });
+
+    /* ================= TUTOR APPLICATIONS ================= */
+
+    // ✅ Tutor applies to a tuition
+    app.post(
+      "/applications",
+      verifyJWT,
+      requirePermission("tuitions:apply"),
+      async (req, res) => {
+        try {
+          const { tuitionId, qualifications, experience, expectedSalary } =
+            req.body;
+
+          const tuition = ObjectId.isValid(tuitionId)
+            ? await tuitionsCollection.findOne({
+                _id: new ObjectId(tuitionId),
+                deletedAt: null,
+              })
+            : null;
+          if (!tuition) {
+            return res.status(404).send({ message: "Tuition not found" });
+          }
+
+          const existingApp = await applicationsCollection.findOne({
+            tuitionId,
+            tutorEmail: req.tokenEmail,
+            deletedAt: null,
+          });
+
+          if (existingApp) {
+            return res
+              .status(409)
+              .send({ message: "Already applied to this tuition" });
+          }
+
+          const tutor = await usersCollection.findOne({
+            email: req.tokenEmail,
+          });
+
+          const applicationData = {
+            tuitionId,
+            tutorEmail: req.tokenEmail,
+            tutorName: tutor.name,
+            tutorImage: tutor.image,
+            qualifications,
+            experience,
+            expectedSalary: parseFloat(expectedSalary),
+            status: "pending",
+            appliedAt: new Date(),
+          };
+
+          const result =
+            await applicationsCollection.insertOne(applicationData);
+
+          pushEvent(tuition?.postedBy?.email, "application:new", {
+            tuitionId,
+            application: { _id: result.insertedId, ...applicationData },
+          });
+          await notify(tuition?.postedBy?.email, {
+            type: "new_application",
+            title: "New application",
+            message: `${tutor.name} applied to your ${tuition?.subject} tuition.`,
+            link: `/dashboard/my-tuitions/${tuitionId}/applications`,
+            data: { tuitionId, applicationId: result.insertedId },
+          });
+          await queueEmail(tuition?.postedBy?.email, "newApplication", {
+            name: tuition?.postedBy?.name,
+            tutorName: tutor.name,
+            subject: tuition?.subject,
+            tuitionId,
+          });
+
+          res.send(result);
+        } catch (error) {
+          console.error("Error creating application:", error);
+          res.status(500).send({ message: "Failed to apply" });
+        }
+      }
+    );
+
+    // ✅ Get applications for a specific tuition (?demoStatus=none|proposed|...)
+    app.get("/tuitions/:id/applications", verifyJWT, async (req, res) => {
+      try {
+        const tuitionId = req.params.id;
+        const tuition = await tuitionsCollection.findOne({
+          _id: new ObjectId(tuitionId),
+          deletedAt: null,
+        });
+        if (!tuition) {
+          return res.status(404).send({ message: "Tuition not found" });
+        }
+
+        if (tuition.postedBy.email !== req.tokenEmail) {
+          return res.status(403).send({ message: "Forbidden" });
+        }
+
+        const query = { tuitionId, deletedAt: null };
+        const { demoStatus } = req.query;
+        if (demoStatus === "none") query.demoStatus = null;
+        else if (demoStatus) query.demoStatus = demoStatus;
+
+        const applications = await applicationsCollection
+          .find(query)
+          .sort({ appliedAt: -1 })
+          .toArray();
+
+        res.send(applications);
+      } catch (error) {
+        console.error("Error fetching applications:", error);
+        res.status(500).send({ message: "Failed to fetch applications" });
+      }
+    });
+
+    // ✅ Get tutor's own applications (FIXED)
+    app.get(
+      "/my-applications",
+      verifyJWT,
+      requirePermission("tuitions:apply"),
+      async (req, res) => {
+        try {
+          const { status } = req.query; // Add query parameter for filtering
+
+          let query = { tutorEmail: req.tokenEmail, deletedAt: null };
+
+          // Add status filter if provided
+          if (status) {
+            query.status = status;
+          }
+
+          const applications = await applicationsCollection
+            .find(query)
+            .sort({ appliedAt: -1 })
+            .toArray();
+
+          const populatedApps = await Promise.all(
+            applications.map(async (app) => {
+              const tuition = await tuitionsCollection.findOne({
+                _id: new ObjectId(app.tuitionId),
+              });
+              return { ...app, tuition };
+            })
+          );
+
+          res.send(populatedApps);
+        } catch (error) {
+          console.error("Error fetching applications:", error);
+          res.status(500).send({ message: "Failed to fetch applications" }); // FIXED: was res.send
+        }
+      }
+    );
+
+    // ✅ Update application
+    app.patch(
+      "/applications/:id",
+      verifyJWT,
+      requirePermission("tuitions:apply"),
+      async (req, res) => {
+        try {
+          const appId = req.params.id;
+          const application = await applicationsCollection.findOne({
+            _id: new ObjectId(appId),
+            deletedAt: null,
+          });
+          if (!application) {
+            return res.status(404).send({ message: "Application not found" });
+          }
+
+          if (application.tutorEmail !== req.tokenEmail) {
+            return res.status(403).send({ message: "Forbidden" });
+          }
+
+          if (application.status !== "pending") {
+            return res
+              .status(400)
+              .send({ message: "Cannot update non-pending application" });
+          }
+
+          const { qualifications, experience, expectedSalary } = req.body;
+          const result = await applicationsCollection.updateOne(
+            { _id: new ObjectId(appId) },
+            {
+              $set: {
+                qualifications,
+                experience,
+                expectedSalary: parseFloat(expectedSalary),
+                updatedAt: new Date(),
+              },
+            }
+          );
+
+          res.send(result);
+        } catch (error) {
+          console.error("Error updating application:", error);
+          res.status(500).send({ message: "Failed to update application" });
+        }
+      }
+    );
+
+    // ✅ Delete application
+    app.delete(
+      "/applications/:id",
+      verifyJWT,
+      requirePermission("tuitions:apply"),
+      async (req, res) => {
+        try {
+          const appId = req.params.id;
+          const application = await applicationsCollection.findOne({
+            _id: new ObjectId(appId),
+            deletedAt: null,
+          });
+          if (!application) {
+            return res.status(404).send({ message: "Application not found" });
+          }
+
+          if (application.tutorEmail !== req.tokenEmail) {
+            return res.status(403).send({ message: "Forbidden" });
+          }
+
+          if (application.status !== "pending") {
+            return res
+              .status(400)
+              .send({ message: "Cannot delete non-pending application" });
+          }
+
+          const result = await applicationsCollection.updateOne(
+            { _id: application._id, deletedAt: null },
+            softDelete(req.tokenEmail)
+          );
+
+          res.send(result);
+        } catch (error) {
+          console.error("Error deleting application:", error);
+          res.status(500).send({ message: "Failed to delete application" });
+        }
+      }
+    );
+
+    // ✅ Student rejects a tutor application
+    app.patch("/applications/:id/reject", verifyJWT, async (req, res) => {
+      try {
+        const appId = req.params.id;
+        const application = await applicationsCollection.findOne({
+          _id: new ObjectId(appId),
+          deletedAt: null,
+        });
+        if (!application) {
+          return res.status(404).send({ message: "Application not found" });
+        }
+
+        const tuition = await tuitionsCollection.findOne({
+          _id: new ObjectId(application.tuitionId),
+        });
+
+        if (tuition.postedBy.email !== req.tokenEmail) {
+          return res.status(403).send({ message: "Forbidden" });
+        }
+
+        const result = await applicationsCollection.updateOne(
+          { _id: new ObjectId(appId) },
+          { $set: { status: "rejected", rejectedAt: new Date() } }
+        );
+
+        pushEvent(application.tutorEmail, "application:status", {
+          applicationId: appId,
+          tuitionId: application.tuitionId,
+          status: "rejected",
+        });
+        await notify(application.tutorEmail, {
+          type: "application_rejected",
+          title: "Application rejected",
+          message: `Your application for ${tuition.subject} was rejected.`,
+          link: "/dashboard/my-applications",
+          data: { tuitionId: application.tuitionId, applicationId: appId },
+        });
+        await queueEmail(application.tutorEmail, "applicationRejected", {
+          name: application.tutorName,
+          subject: tuition.subject,
+        });
+
+        res.send(result);
+      } catch (error) {
+        console.error("Error rejecting application:", error);
+        res.status(500).send({ message: "Failed to reject application" });
+      }
+    });
+
+    /* ================= APPLICATION MESSAGES ================= */
+
+    messagesCollection
+      .createIndex({ applicationId: 1, createdAt: 1 })
+      .catch((err) => console.error("Failed to create messages index:", err));
+    messagesCollection
+      .createIndex({ recipientEmail: 1, readAt: 1 })
+      .catch((err) => console.error("Failed to create messages index:", err));
+
+    // Load an application's thread for one of its two participants:
+    // the tuition owner (student) or the applying tutor.
+    const getThread = async (appId, email) => {
+      if (!ObjectId.isValid(appId)) {
+        return { status: 400, message: "Invalid application ID" };
+      }
+      const application = await applicationsCollection.findOne({
+        _id: new ObjectId(appId),
+        deletedAt: null,
+      });
+      if (!application) {
+        return { status: 404, message: "Application not found" };
+      }
+      const tuition = ObjectId.isValid(application.tuitionId)
+        ? await tuitionsCollection.findOne({
+            _id: new ObjectId(application.tuitionId),
+            deletedAt: null,
+          })
+        : null;
+      if (!tuition) {
+        return { status: 404, message: "Tuition not found" };
+      }
+
+      const studentEmail = tuition?.postedBy?.email;
+      let role = null;
+      if (email === application.tutorEmail) role = "tutor";
+      else if (studentEmail && email === studentEmail) role = "student";
+      if (!role) return { status: 403, message: "Forbidden" };
+
+      return {
+        application,
+        tuition,
+        role,
+        otherEmail: role === "tutor" ? studentEmail : application.tutorEmail,
+        locked: application.status === "rejected",
+        // Contact details stay hidden until the student has paid, and for
+        // every applicant other than the tutor who was hired
+        masked: !(
+          tuition.status === "hired" &&
+          tuition.hiredTutor === application.tutorEmail
+        ),
+      };
+    };
+
+    const presentMessage = (message, masked) =>
+      masked
+        ? {
+            ...message,
+            text: maskPhones(message.text),
+            attachments: (message.attachments || []).map((file) => ({
+              ...file,
+              name: maskPhones(file.name),
+            })),
+          }
+        : message;
+
+    // ✅ Get an application's thread (marks incoming messages as read)
+    app.get("/applications/:id/messages", verifyJWT, async (req, res) => {
+      try {
+        const thread = await getThread(req.params.id, req.tokenEmail);
+        if (thread.status) {
+          return res.status(thread.status).send({ message: thread.message });
+        }
+
+        const applicationId = req.params.id;
+        const messages = await messagesCollection
+          .find({ applicationId })
+          .sort({ createdAt: 1 })
+          .toArray();
+
+        const read = await messagesCollection.updateMany(
+          { applicationId, recipientEmail: req.tokenEmail, readAt: null },
+          { $set: { readAt: new Date() } }
+        );
+        if (read.modifiedCount) {
+          pushEvent(thread.otherEmail, "message:read", {
+            applicationId,
+            readBy: req.tokenEmail,
+          });
+        }
+
+        res.send({
+          applicationId,
+          tuitionId: thread.application.tuitionId,
+          role: thread.role,
+          locked: thread.locked,
+          masked: thread.masked,
+          messages: messages.map((m) => presentMessage(m, thread.masked)),
+        });
+      } catch (error) {
+        console.error("Error fetching messages:", error);
+        res.status(500).send({ message: "Failed to fetch messages" });
+      }
+    });
+
+    // ✅ Post a message to an application's thread
+    app.post("/applications/:id/messages", verifyJWT, async (req, res) => {
+      try {
+        const thread = await getThread(req.params.id, req.tokenEmail);
+        if (thread.status) {
+          return res.status(thread.status).send({ message: thread.message });
+        }
+        if (thread.locked) {
+          return res
+            .status(409)
+            .send({ message: "This conversation is closed" });
+        }
+
+        const { value, errors } = validateMessage(req.body);
+        if (errors) {
+          return res.status(400).send({ message: "Invalid message", errors });
+        }
+
+        const message = {
+          applicationId: req.params.id,
+          tuitionId: thread.application.tuitionId,
+          senderEmail: req.tokenEmail,
+          senderRole: thread.role,
+          recipientEmail: thread.otherEmail,
+          text: value.text || "",
+          attachments: value.attachments,
+          readAt: null,
+          createdAt: new Date(),
+        };
+        const result = await messagesCollection.insertOne(message);
+
+        const sent = presentMessage(
+          { _id: result.insertedId, ...message },
+          thread.masked
+        );
+        pushEvent(thread.otherEmail, "message:new", sent);
+
+        res.status(201).send(sent);
+      } catch (error) {
+        console.error("Error sending message:", error);
+        res.status(500).send({ message: "Failed to send message" });
+      }
+    });
+
+    // ✅ Mark a thread as read without fetching it
+    app.patch(
+      "/applications/:id/messages/read",
+      verifyJWT,
+      async (req, res) => {
+        try {
+          const thread = await getThread(req.params.id, req.tokenEmail);
+          if (thread.status) {
+            return res.status(thread.status).send({ message: thread.message });
+          }
+
+          const result = await messagesCollection.updateMany(
+            {
+              applicationId: req.params.id,
+              recipientEmail: req.tokenEmail,
+              readAt: null,
+            },
+            { $set: { readAt: new Date() } }
+          );
+
+          res.send({ updated: result.modifiedCount });
+        } catch (error) {
+          console.error("Error marking messages read:", error);
+          res.status(500).send({ message: "Failed to update messages" });
+        }
+      }
+    );
+
+    // ✅ Unread message counts, total and per application
+    app.get("/messages/unread-count", verifyJWT, async (req, res) => {
+      try {
+        const groups = await messagesCollection
+          .aggregate([
+            { $match: { recipientEmail: req.tokenEmail, readAt: null } },
+            { $group: { _id: "$applicationId", count: { $sum: 1 } } },
+          ])
+          .toArray();
+
+        res.send({
+          total: groups.reduce((sum, g) => sum + g.count, 0),
+          byApplication: Object.fromEntries(
+            groups.map((g) => [g._id, g.count])
+          ),
+        });
+      } catch (error) {
+        console.error("Error counting messages:", error);
+        res.status(500).send({ message: "Failed to count messages" });
+      }
+    });
+
+    /* ================= DEMO CLASSES ================= */
+
+    // demoStatus on an application: proposed → scheduled → completed |
+    // no_show | disputed, or declined / cancelled along the way. Each side
+    // reports the outcome separately in demo.outcomes.
+    const DEMO_MAX_SLOTS = 5;
+    const DEMO_OUTCOMES = ["done", "no_show"];
+
+    const parseDemoSlots = (slots) => {
+      if (!Array.isArray(slots) || !slots.length) {
+        return { error: "Propose at least one slot" };
+      }
+      if (slots.length > DEMO_MAX_SLOTS) {
+        return { error: `Propose at most ${DEMO_MAX_SLOTS} slots` };
+      }
+
+      const parsed = [];
+      for (const slot of slots) {
+        const start = new Date(slot?.start);
+        const minutes = Number(slot?.durationMinutes ?? 60);
+        if (Number.isNaN(start.getTime()) || start <= new Date()) {
+          return { error: "Each slot needs a start time in the future" };
+        }
+        if (!Number.isInteger(minutes) || minutes < 15 || minutes > 240) {
+          return { error: "durationMinutes must be between 15 and 240" };
+        }
+        parsed.push({
+          start,
+          end: new Date(start.getTime() + minutes * 60000),
+        });
+      }
+      return { slots: parsed.sort((a, b) => a.start - b.start) };
+    };
+
+    // Load the thread and make sure the demo can still change: only while
+    // the application is pending, i.e. before the student pays.
+    const getDemoThread = async (req, res, role) => {
+      const thread = await getThread(req.params.id, req.tokenEmail);
+      if (thread.status) {
+        res.status(thread.status).send({ message: thread.message });
+        return null;
+      }
+      if (role && thread.role !== role) {
+        res.status(403).send({ message: `Only the ${role} can do this` });
+        return null;
+      }
+      if (thread.application.status !== "pending") {
+        res
+          .status(409)
+          .send({ message: "Demo classes are only for pending applications" });
+        return null;
+      }
+      return thread;
+    };
+
+    const announceDemo = async (thread, demo, { type, title, message }) => {
+      pushEvent(thread.otherEmail, "application:demo", {
+        applicationId: thread.application._id,
+        tuitionId: thread.application.tuitionId,
+        demoStatus: demo.status,
+        demo,
+      });
+      await notify(thread.otherEmail, {
+        type,
+        title,
+        message,
+        link:
+          thread.role === "student"
+            ? "/dashboard/my-applications"
+            : `/dashboard/my-tuitions/${thread.application.tuitionId}/applications`,
+        data: {
+          applicationId: thread.application._id,
+          tuitionId: thread.application.tuitionId,
+        },
+      });
+    };
+
+    // Apply a demo change only if the status is still one we expect, so
+    // two clicks (or both sides at once) can't overwrite each other.
+    const updateDemo = (application, fromStatuses, demo) =>
+      applicationsCollection.findOneAndUpdate(
+        {
+          _id: application._id,
+          status: "pending",
+          demoStatus: { $in: fromStatuses }, // null matches "no demo yet"
+        },
+        { $set: { demo, demoStatus: demo.status, updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+
+    // ✅ Student proposes demo slots ({ slots: [{ start, durationMinutes }] })
+    app.post("/applications/:id/demo", verifyJWT, async (req, res) => {
+      try {
+        const thread = await getDemoThread(req, res, "student");
+        if (!thread) return;
+
+        const { slots, error } = parseDemoSlots(req.body?.slots);
+        if (error) return res.status(400).send({ message: error });
+
+        const demo = {
+          status: "proposed",
+          slots,
+          note: String(req.body?.note || "").slice(0, 500),
+          proposedAt: new Date(),
+          outcomes: {},
+        };
+        const updated = await updateDemo(
+          thread.application,
+          [null, "proposed", "declined", "cancelled"],
+          demo
+        );
+        if (!updated) {
+          return res
+            .status(409)
+            .send({ message: "A demo class is already scheduled" });
+        }
+
+        await announceDemo(thread, demo, {
+          type: "demo_proposed",
+          title: "Demo class requested",
+          message: `The student proposed ${slots.length} time(s) for a demo class.`,
+        });
+
+        res.send(updated);
+      } catch (error) {
+        console.error("Error proposing demo:", error);
+        res.status(500).send({ message: "Failed to propose demo class" });
+      }
+    });
+
+    // ✅ Tutor accepts one of the proposed slots ({ slotIndex })
+    app.patch("/applications/:id/demo/accept", verifyJWT, async (req, res) => {
+      try {
+        const thread = await getDemoThread(req, res, "tutor");
+        if (!thread) return;
+
+        const demo = thread.application.demo;
+        const slot = demo?.slots?.[Number(req.body?.slotIndex)];
+        if (thread.application.demoStatus !== "proposed" || !slot) {
+          return res
+            .status(400)
+            .send({ message: "Pick one of the proposed slots" });
+        }
+        if (new Date(slot.start) <= new Date()) {
+          return res
+            .status(400)
+            .send({ message: "That slot has already passed" });
+        }
+
+        const next = {
+          ...demo,
+          status: "scheduled",
+          scheduledSlot: slot,
+          acceptedAt: new Date(),
+        };
+        const updated = await updateDemo(
+          thread.application,
+          ["proposed"],
+          next
+        );
+        if (!updated) {
+          return res.status(409).send({ message: "The demo request changed" });
+        }
+
+        await announceDemo(thread, next, {
+          type: "demo_scheduled",
+          title: "Demo class confirmed",
+          message: `Your demo class is set for ${new Date(
+            slot.start
+          ).toLocaleString("en-GB", {
+            timeZone: "Asia/Dhaka",
+            dateStyle: "medium",
+            timeStyle: "short",
+          })}.`,
+        });
+
+        res.send(updated);
+      } catch (error) {
+        console.error("Error accepting demo:", error);
+        res.status(500).send({ message: "Failed to accept demo class" });
+      }
+    });
+
+    // ✅ Tutor declines all proposed slots (student may propose again)
+    app.patch("/applications/:id/demo/decline", verifyJWT, async (req, res) => {
+      try {
+        const thread = await getDemoThread(req, res, "tutor");
+        if (!thread) return;
+
+        const next = {
+          ...thread.application.demo,
+          status: "declined",
+          declineReason: String(req.body?.reason || "").slice(0, 500),
+          declinedAt: new Date(),
+        };
+        const updated = await updateDemo(
+          thread.application,
+          ["proposed"],
+          next
+        );
+        if (!updated) {
+          return res
+            .status(409)
+            .send({ message: "No demo request to decline" });
+        }
+
+        await announceDemo(thread, next, {
+          type: "demo_declined",
+          title: "Demo times declined",
+          message: "The tutor can't make the proposed times. Try other slots.",
+        });
+
+        res.send(updated);
+      } catch (error) {
+        console.error("Error declining demo:", error);
+        res.status(500).send({ message: "Failed to decline demo class" });
+      }
+    });
+
+    // ✅ Either side cancels a proposed or scheduled demo
+    app.patch("/applications/:id/demo/cancel", verifyJWT, async (req, res) => {
+      try {
+        const thread = await getDemoThread(req, res);
+        if (!thread) return;
+
+        const next = {
+          ...thread.application.demo,
+          status: "cancelled",
+          cancelledBy: thread.role,
+          cancelledAt: new Date(),
+        };
+        const updated = await updateDemo(
+          thread.application,
+          ["proposed", "scheduled"],
+          next
+        );
+        if (!updated) {
+          return res.status(409).send({ message: "No active demo to cancel" });
+        }
+
+        await announceDemo(thread, next, {
+          type: "demo_cancelled",
+          title: "Demo class cancelled",
+          message: `The ${thread.role} cancelled the demo class.`,
+        });
+
+        res.send(updated);
+      } catch (error) {
+        console.error("Error cancelling demo:", error);
+        res.status(500).send({ message: "Failed to cancel demo class" });
+      }
+    });
+
+    // ✅ Report how the demo went ({ outcome: "done" | "no_show" })
+    app.patch("/applications/:id/demo/outcome", verifyJWT, async (req, res) => {
+      try {
+        const thread = await getDemoThread(req, res);
+        if (!thread) return;
+
+        const { outcome } = req.body || {};
+        if (!DEMO_OUTCOMES.includes(outcome)) {
+          return res.status(400).send({
+            message: `outcome must be one of ${DEMO_OUTCOMES.join(", ")}`,
+          });
+        }
+
+        const demo = thread.application.demo;
+        const reportable = ["scheduled", "completed", "no_show", "disputed"];
+        if (!reportable.includes(thread.application.demoStatus)) {
+          return res
+            .status(400)
+            .send({ message: "No demo class was scheduled" });
+        }
+        if (new Date(demo.scheduledSlot.start) > new Date()) {
+          return res
+            .status(400)
+            .send({ message: "The demo class hasn't started yet" });
+        }
+
+        const outcomes = {
+          ...demo.outcomes,
+          [thread.role]: { outcome, reportedAt: new Date() },
+        };
+        const { student, tutor } = outcomes;
+        let status = "scheduled";
+        if (student && tutor) {
+          if (student.outcome !== tutor.outcome) status = "disputed";
+          else status = outcome === "done" ? "completed" : "no_show";
+        }
+
+        const next = { ...demo, status, outcomes };
+        const updated = await updateDemo(
+          thread.application,
+          [thread.application.demoStatus],
+          next
+        );
+        if (!updated) {
+          return res.status(409).send({ message: "The demo was just updated" });
+        }
+
+        await announceDemo(thread, next, {
+          type: "demo_outcome",
+          title: "Demo class outcome",
+          message: `The ${thread.role} marked the demo class as ${
+            outcome === "done" ? "done" : "a no-show"
+          }.`,
+        });
+
+        res.send(updated);
+      } catch (error) {
+        console.error("Error reporting demo outcome:", error);
+        res.status(500).send({ message: "Failed to record demo outcome" });
+      }
+    });
+
+    /* ================= PAYMENTS ================= */
+
+    // Stripe rejects checkout expiries under 30 minutes; the extra minute
+    // covers rounding and request latency. Kept short so an abandoned
+    // checkout doesn't hold the tuition for long.
+    const CHECKOUT_EXPIRY_SECONDS = 31 * 60;
+
+    // ✅ Create checkout session
+    // Amount and parties come from the stored application, never the body
+    app.post("/create-checkout-session", verifyJWT, async (req, res) => {
+      try {
+        const { applicationId, tuitionId } = req.body;
+
+        if (!ObjectId.isValid(applicationId) || !ObjectId.isValid(tuitionId)) {
+          return res
+            .status(400)
+            .send({ message: "Invalid application or tuition ID" });
+        }
+
+        const tuition = await tuitionsCollection.findOne({
+          _id: new ObjectId(tuitionId),
+          deletedAt: null,
+        });
+        if (!tuition) {
+          return res.status(404).send({ message: "Tuition not found" });
+        }
+
+        if (tuition.postedBy.email !== req.tokenEmail) {
+          return res.status(403).send({ message: "Forbidden" });
+        }
+
+        if (tuition.status === "hired") {
+          return res.status(409).send({ message: "Tuition already hired" });
+        }
+
+        if (tuition.status !== "approved") {
+          return res
+            .status(400)
+            .send({ message: "Only approved tuitions can hire a tutor" });
+        }
+
+        const application = await applicationsCollection.findOne({
+          _id: new ObjectId(applicationId),
+          deletedAt: null,
+        });
+        if (!application || application.tuitionId !== tuitionId) {
+          return res
+            .status(400)
+            .send({ message: "Application does not belong to this tuition" });
+        }
+
+        if (application.status !== "pending") {
+          return res
+            .status(400)
+            .send({ message: "Application is no longer pending" });
+        }
+
+        const amount = Number(application.expectedSalary);
+        if (!(amount > 0)) {
+          return res
+            .status(400)
+            .send({ message: "Application has no valid salary" });
+        }
+
+        // Only one checkout may be open per tuition at a time
+        const openSession = tuition.checkoutSession;
+        if (openSession?.id && new Date(openSession.expiresAt) > new Date()) {
+          const existing = await stripe.checkout.sessions.retrieve(
+            openSession.id
+          );
+          if (existing.status !== "expired") {
+            return res.status(409).send({
+              message: "A payment is already in progress for this tuition",
+            });
+          }
+        }
+
+        const metadata = {
+          applicationId,
+          tuitionId,
+          studentEmail: req.tokenEmail,
+          tutorEmail: application.tutorEmail,
+        };
+
+        const session = await stripe.checkout.sessions.create({
+          line_items: [
+            {
+              price_data: {
+                currency: "bdt",
+                product_data: {
+                  name: `Tuition Payment - ${tuition.subject}`,
+                  description: `Class ${tuition.class} - ${tuition.location}`,
+                },
+                unit_amount: Math.round(amount * 100),
+              },
+              quantity: 1,
+            },
+          ],
+          customer_email: req.tokenEmail,
+          mode: "payment",
+          metadata,
+          // Copied onto the payment intent for payment_failed/refund events
+          payment_intent_data: { metadata },
+          expires_at: Math.floor(Date.now() / 1000) + CHECKOUT_EXPIRY_SECONDS,
+          success_url: `${process.env.CLIENT_DOMAIN}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+          cancel_url: `${process.env.CLIENT_DOMAIN}/dashboard/my-tuitions`,
+        });
+
+        // Claim the tuition for this session unless another request won
+        const claim = await tuitionsCollection.updateOne(
+          {
+            _id: tuition._id,
+            status: "approved",
+            "checkoutSession.id": openSession?.id ?? null,
+          },
+          {
+            $set: {
+              checkoutSession: {
+                id: session.id,
+                applicationId,
+                expiresAt: new Date(session.expires_at * 1000),
+                createdAt: new Date(),
+              },
+            },
+          }
+        );
+
+        if (!claim.modifiedCount) {
+          await stripe.checkout.sessions.expire(session.id);
+          return res.status(409).send({
+            message: "A payment is already in progress for this tuition",
+          });
+        }
+
+        res.send({ url: session.url });
+      } catch (error) {
+        console.error("Error creating checkout session:", error);
+        res.status(500).send({ message: "Failed to create payment session" });
+      }
+    });
+
+    // ✅ Stripe webhook - finalizes hires server-side (signature verified)
+    app.post("/stripe-webhook", async (req, res) => {
+      let event;
+      try {
+        event = stripe.webhooks.constructEvent(
+          req.rawBody,
+          req.headers["stripe-signature"],
+          process.env.STRIPE_WEBHOOK_SECRET
+        );
+      } catch (error) {
+        console.error("❌ Webhook signature verification failed:", error);
+        return res
+          .status(400)
+          .send({ message: `Webhook Error: ${error.message}` });
+      }
+
+      try {
+        console.log("📝 Stripe event received:", event.type, event.id);
+
+        switch (event.type) {
+          case "checkout.session.completed":
+          case "checkout.session.async_payment_succeeded": {
+            const session = event.data.object;
+            if (session.mode === "subscription") {
+              await activateSubscription(session);
+            } else if (session.payment_status === "paid") {
+              await finalizeHire(session);
+            }
+            break;
+          }
+
+          case "checkout.session.expired": {
+            const session = event.data.object;
+            if (session.metadata?.tuitionId) {
+              await tuitionsCollection.updateOne(
+                {
+                  _id: new ObjectId(session.metadata.tuitionId),
+                  "checkoutSession.id": session.id,
+                },
+                { $unset: { checkoutSession: "" } }
+              );
+              await tuitionsCollection.updateOne(
+                {
+                  _id: new ObjectId(session.metadata.tuitionId),
+                  "subscriptionCheckout.id": session.id,
+                },
+                { $unset: { subscriptionCheckout: "" } }
+              );
+            }
+            break;
+          }
+
+          case "invoice.paid":
+            await recordSubscriptionInvoice(event.data.object);
+            break;
+
+          case "customer.subscription.updated":
+          case "customer.subscription.deleted":
+            await syncSubscription(event.data.object);
+            break;
+
+          case "payment_intent.payment_failed": {
+            const paymentIntent = event.data.object;
+            const { applicationId } = paymentIntent.metadata || {};
+            if (applicationId && ObjectId.isValid(applicationId)) {
+              await applicationsCollection.updateOne(
+                { _id: new ObjectId(applicationId), status: "pending" },
+                {
+                  $set: {
+                    paymentStatus: "failed",
+                    paymentError:
+                      paymentIntent.last_payment_error?.message || null,
+                    paymentFailedAt: new Date(),
+                  },
+                }
+              );
+            }
+            break;
+          }
+
+          case "charge.refunded":
+            await syncChargeRefunds(event.data.object);
+            break;
+
+          case "charge.dispute.created":
+          case "charge.dispute.updated":
+          case "charge.dispute.closed":
+            await recordDispute(event.data.object);
+            break;
+
+          default:
+            break;
+        }
+
+        res.send({ received: true });
+      } catch (error) {
+        console.error("❌ Error handling Stripe webhook:", error);
+        res.status(500).send({ message: "Failed to handle webhook" });
+      }
+    });
+
+    // ✅ Payment result for the success page (hire is recorded by the webhook)
+    app.post("/payment-success", verifyJWT, async (req, res) => {
+      try {
+        const { sessionId } = req.body;
+
+        const session = await stripe.checkout.sessions.retrieve(sessionId);
+
+        if (session.metadata?.studentEmail !== req.tokenEmail) {
+          return res.status(403).send({ message: "Forbidden" });
+        }
+
+        const paymentRecord = await ordersCollection.findOne({
+          transactionId: session.payment_intent,
+        });
+
+        // Webhook hasn't landed yet - client should retry shortly
+        if (!paymentRecord) {
+          return res.status(202).send({
+            message: "Payment is being processed",
+            paymentStatus: session.payment_status,
+          });
+        }
+
+        res.send({ message: "Payment successful", paymentRecord });
+      } catch (error) {
+        console.error("❌ Error fetching payment result:", error);
+        res.status(500).send({ message: "Failed to process payment" });
+      }
+    });
+
+    /* ================= SUBSCRIPTIONS ================= */
+
+    // Changes an admin makes to someone else's subscription are audited
+    const auditSubscriptionChange = async (req, action, before) => {
+      if (before.studentEmail === req.tokenEmail) return;
+      await audit(
+        req,
+        action,
+        { type: "subscription", id: before._id },
+        {
+          before,
+          after: await subscriptionsCollection.findOne({ _id: before._id }),
+        }
+      );
+    };
+
+    // Student owner or admin may manage a subscription
+    const findManageableSubscription = async (req, res) => {
+      if (!ObjectId.isValid(req.params.id)) {
+        res.status(400).send({ message: "Invalid subscription ID" });
+        return null;
+      }
+
+      const subscription = await subscriptionsCollection.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!subscription) {
+        res.status(404).send({ message: "Subscription not found" });
+        return null;
+      }
+
+      if (subscription.studentEmail !== req.tokenEmail) {
+        if (!hasPermission(await loadUser(req), "finance:manage")) {
+          res.status(403).send({ message: "Forbidden" });
+          return null;
+        }
+      }
+
+      return subscription;
+    };
+
+    // ✅ Start monthly billing for a hired tuition
+    app.post("/create-subscription-session", verifyJWT, async (req, res) => {
+      try {
+        const { tuitionId } = req.body;
+        if (!ObjectId.isValid(tuitionId)) {
+          return res.status(400).send({ message: "Invalid tuition ID" });
+        }
+
+        const tuition = await tuitionsCollection.findOne({
+          _id: new ObjectId(tuitionId),
+          deletedAt: null,
+        });
+        if (!tuition) {
+          return res.status(404).send({ message: "Tuition not found" });
+        }
+
+        if (tuition.postedBy.email !== req.tokenEmail) {
+          return res.status(403).send({ message: "Forbidden" });
+        }
+
+        if (tuition.status !== "hired") {
+          return res
+            .status(400)
+            .send({ message: "Monthly billing needs a hired tuition" });
+        }
+
+        const existing = await subscriptionsCollection.findOne({
+          tuitionId,
+          status: { $in: OPEN_SUBSCRIPTION_STATUSES },
+        });
+        if (existing) {
+          return res
+            .status(409)
+            .send({ message: "Tuition already has a subscription" });
+        }
+
+        const application = await applicationsCollection.findOne({
+          tuitionId,
+          tutorEmail: tuition.hiredTutor,
+          status: "approved",
+        });
+        if (!application) {
+          return res
+            .status(404)
+            .send({ message: "Hired application not found" });
+        }
+
+        // The subscription is only stored once its checkout completes, so
+        // an open checkout blocks a second one (e.g. a double click)
+        const openSession = tuition.subscriptionCheckout;
+        if (openSession?.id && new Date(openSession.expiresAt) > new Date()) {
+          const pending = await stripe.checkout.sessions.retrieve(
+            openSession.id
+          );
+          if (pending.status !== "expired") {
+            return res.status(409).send({
+              message: "A subscription checkout is already in progress",
+            });
+          }
+        }
+
+        const metadata = {
+          applicationId: application._id.toString(),
+          tuitionId,
+          studentEmail: req.tokenEmail,
+          tutorEmail: application.tutorEmail,
+        };
+
+        const session = await stripe.checkout.sessions.create({
+          line_items: [
+            {
+              price_data: {
+                currency: "bdt",
+                product_data: {
+                  name: `Monthly Tuition - ${tuition.subject}`,
+                  description: `Class ${tuition.class} - ${tuition.location}`,
+                },
+                unit_amount: Math.round(application.expectedSalary * 100),
+                recurring: { interval: "month" },
+              },
+              quantity: 1,
+            },
+          ],
+          customer_email: req.tokenEmail,
+          mode: "subscription",
+          metadata,
+          // Copied onto every invoice so each month can be recorded
+          subscription_data: { metadata },
+          expires_at: Math.floor(Date.now() / 1000) + CHECKOUT_EXPIRY_SECONDS,
+          success_url: `${process.env.CLIENT_DOMAIN}/dashboard/my-payments?subscription=success`,
+          cancel_url: `${process.env.CLIENT_DOMAIN}/dashboard/my-tuitions`,
+        });
+
+        // Claim the tuition for this checkout unless another request won
+        const claim = await tuitionsCollection.updateOne(
+          {
+            _id: tuition._id,
+            status: "hired",
+            "subscriptionCheckout.id": openSession?.id ?? null,
+          },
+          {
+            $set: {
+              subscriptionCheckout: {
+                id: session.id,
+                expiresAt: new Date(session.expires_at * 1000),
+                createdAt: new Date(),
+              },
+            },
+          }
+        );
+
+        if (!claim.modifiedCount) {
+          await stripe.checkout.sessions.expire(session.id);
+          return res.status(409).send({
+            message: "A subscription checkout is already in progress",
+          });
+        }
+
+        res.send({ url: session.url });
+      } catch (error) {
+        console.error("Error creating subscription session:", error);
+        res
+          .status(500)
+          .send({ message: "Failed to create subscription session" });
+      }
+    });
+
+    // ✅ Get student's subscriptions
+    app.get("/my-subscriptions", verifyJWT, async (req, res) => {
+      try {
+        const subscriptions = await subscriptionsCollection
+          .find({ studentEmail: req.tokenEmail })
+          .sort({ createdAt: -1 })
+          .toArray();
+        res.send(subscriptions);
+      } catch (error) {
+        console.error("Error fetching subscriptions:", error);
+        res.status(500).send({ message: "Failed to fetch subscriptions" });
+      }
+    });
+
+    // ✅ Get all subscriptions (admin)
+    app.get(
+      "/admin/subscriptions",
+      verifyJWT,
+      requirePermission("finance:read"),
+      async (req, res) => {
+        try {
+          const query = {};
+          if (req.query.status) query.status = req.query.status;
+
+          const subscriptions = await subscriptionsCollection
+            .find(query)
+            .sort({ createdAt: -1 })
+            .toArray();
+          res.send(subscriptions);
+        } catch (error) {
+          console.error("Error fetching subscriptions:", error);
+          res.status(500).send({ message: "Failed to fetch subscriptions" });
+        }
+      }
+    );
+
+    // ✅ Pause monthly billing (student or admin)
+    app.patch("/subscriptions/:id/pause", verifyJWT, async (req, res) => {
+      try {
+        const subscription = await findManageableSubscription(req, res);
+        if (!subscription) return;
+
+        if (subscription.status !== "active") {
+          return res
+            .status(400)
+            .send({ message: "Only active subscriptions can be paused" });
+        }
+
+        await stripe.subscriptions.update(subscription.stripeSubscriptionId, {
+          pause_collection: { behavior: "void" },
+        });
+
+        const result = await subscriptionsCollection.updateOne(
+          { _id: subscription._id },
+          {
+            $set: {
+              status: "paused",
+              pausedAt: new Date(),
+              pausedBy: req.tokenEmail,
+            },
+          }
+        );
+        await auditSubscriptionChange(req, "subscription.pause", subscription);
+        res.send(result);
+      } catch (error) {
+        console.error("Error pausing subscription:", error);
+        res.status(500).send({ message: "Failed to pause subscription" });
+      }
+    });
+
+    // ✅ Resume monthly billing (student or admin)
+    app.patch("/subscriptions/:id/resume", verifyJWT, async (req, res) => {
+      try {
+        const subscription = await findManageableSubscription(req, res);
+        if (!subscription) return;
+
+        if (subscription.status !== "paused") {
+          return res
+            .status(400)
+            .send({ message: "Only paused subscriptions can be resumed" });
+        }
+
+        await stripe.subscriptions.update(subscription.stripeSubscriptionId, {
+          pause_collection: "",
+        });
+
+        const result = await subscriptionsCollection.updateOne(
+          { _id: subscription._id },
+          { $set: { status: "active", resumedAt: new Date() } }
+        );
+        await auditSubscriptionChange(req, "subscription.resume", subscription);
+        res.send(result);
+      } catch (error) {
+        console.error("Error resuming subscription:", error);
+        res.status(500).send({ message: "Failed to resume subscription" });
+      }
+    });
+
+    // ✅ Cancel monthly billing and end the tuition (student or admin)
+    app.patch("/subscriptions/:id/cancel", verifyJWT, async (req, res) => {
+      try {
+        const subscription = await findManageableSubscription(req, res);
+        if (!subscription) return;
+
+        if (subscription.status === "cancelled") {
+          return res
+            .status(400)
+            .send({ message: "Subscription already cancelled" });
+        }
+
+        await stripe.subscriptions.cancel(subscription.stripeSubscriptionId);
+
+        const result = await subscriptionsCollection.updateOne(
+          { _id: subscription._id },
+          {
+            $set: {
+              status: "cancelled",
+              cancelledAt: new Date(),
+              cancelledBy: req.tokenEmail,
+            },
+          }
+        );
+        await endTuition(subscription.tuitionId);
+        await auditSubscriptionChange(req, "subscription.cancel", subscription);
+
+        res.send(result);
+      } catch (error) {
+        console.error("Error cancelling subscription:", error);
+        res.status(500).send({ message: "Failed to cancel subscription" });
+      }
+    });
+
+    // ✅ Get student's payment history
+    app.get("/my-payments", verifyJWT, async (req, res) => {
+      try {
+        // Each monthly charge is its own order (type: "subscription")
+        const query = { studentEmail: req.tokenEmail };
+        if (req.query.type === "subscription") query.type = "subscription";
+        if (req.query.type === "hire") query.type = { $ne: "subscription" };
+
+        const payments = await ordersCollection
+          .find(query)
+          .sort({ paidAt: -1 })
+          .toArray();
+
+        const populatedPayments = await Promise.all(
+          payments.map(async (payment) => {
+            const tuition = await tuitionsCollection.findOne({
+              _id: new ObjectId(payment.tuitionId),
+            });
+            return { ...payment, tuition };
+          })
+        );
+
+        res.send(populatedPayments);
+      } catch (error) {
+        console.error("Error fetching payments:", error);
+        res.status(500).send({ message: "Failed to fetch payments" });
+      }
+    });
+
+    // ✅ Get tutor's revenue history (FIXED - with tuition details and commission)
+    app.get(
+      "/tutor-revenue",
+      verifyJWT,
+      requirePermission("earnings:read"),
+      async (req, res) => {
+        try {
+          const query = { tutorEmail: req.tokenEmail };
+          if (req.query.type === "subscription") query.type = "subscription";
+          if (req.query.type === "hire") query.type = { $ne: "subscription" };
+
+          const revenue = await ordersCollection
+            .find(query)
+            .sort({ paidAt: -1 })
+            .toArray();
+
+          // Populate tuition details for each payment
+          const populatedRevenue = await Promise.all(
+            revenue.map(async (payment) => {
+              const tuition = await tuitionsCollection.findOne({
+                _id: new ObjectId(payment.tuitionId),
+              });
+              return { ...payment, tuition };
+            })
+          );
+
+          // Calculate total revenue (tutor's portion only, after platform commission)
+          const totalRevenue = revenue.reduce(
+            (sum, payment) =>
+              sum +
+              (payment.tutorAmount || payment.amount || 0) -
+              (payment.tutorAmountRefunded || 0),
+            0
+          );
+
+          res.send({ revenue: populatedRevenue, totalRevenue });
+        } catch (error) {
+          console.error("Error fetching revenue:", error);
+          res.status(500).send({ message: "Failed to fetch revenue" });
+        }
+      }
+    );
+
+    // ✅ Download PDF receipt for an order (student, tutor or admin)
+    app.get("/orders/:id/receipt", verifyJWT, async (req, res) => {
+      try {
+        if (!ObjectId.isValid(req.params.id)) {
+          return res.status(400).send({ message: "Invalid order ID" });
+        }
+
+        const order = await ordersCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!order) {
+          return res.status(404).send({ message: "Order not found" });
+        }
+
+        if (![order.studentEmail, order.tutorEmail].includes(req.tokenEmail)) {
+          if (!hasPermission(await loadUser(req), "finance:read")) {
+            return res.status(403).send({ message: "Forbidden" });
+          }
+        }
+
+        const tuition = ObjectId.isValid(order.tuitionId)
+          ? await tuitionsCollection.findOne({
+              _id: new ObjectId(order.tuitionId),
+            })
+          : null;
+
+        renderReceipt(res, order, tuition);
+      } catch (error) {
+        console.error("Error generating receipt:", error);
+        res.status(500).send({ message: "Failed to generate receipt" });
+      }
+    });
+
+    // ✅ Download tutor's monthly or yearly earnings statement (PDF)
+    app.get(
+      "/tutor/earnings-statement",
+      verifyJWT,
+      requirePermission("earnings:read"),
+      async (req, res) => {
+        try {
+          const year = parseInt(req.query.year) || new Date().getUTCFullYear();
+          const month = parseInt(req.query.month); // 1-12, omit for yearly
+
+          if (req.query.month && !(month >= 1 && month <= 12)) {
+            return res.status(400).send({ message: "Invalid month" });
+          }
+
+          // Periods are UTC, like the dates printed on the statement
+          const start = month
+            ? new Date(Date.UTC(year, month - 1, 1))
+            : new Date(Date.UTC(year, 0, 1));
+          const end = month
+            ? new Date(Date.UTC(year, month, 1))
+            : new Date(Date.UTC(year + 1, 0, 1));
+          const label = month
+            ? `${year}-${String(month).padStart(2, "0")}`
+            : `${year}`;
+
+          const orders = await ordersCollection
+            .find({
+              tutorEmail: req.tokenEmail,
+              paidAt: { $gte: start, $lt: end },
+            })
+            .sort({ paidAt: 1 })
+            .toArray();
+
+          const populatedOrders = await Promise.all(
+            orders.map(async (order) => ({
+              ...order,
+              tuition: ObjectId.isValid(order.tuitionId)
+                ? await tuitionsCollection.findOne({
+                    _id: new ObjectId(order.tuitionId),
+                  })
+                : null,
+            }))
+          );
+
+          const tutor = await usersCollection.findOne({
+            email: req.tokenEmail,
+          });
+
+          renderEarningsStatement(res, {
+            tutor: { ...tutor, email: req.tokenEmail },
+            period: { label, start, end },
+            orders: populatedOrders,
+          });
+        } catch (error) {
+          console.error("Error generating statement:", error);
+          res.status(500).send({ message: "Failed to generate statement" });
+        }
+      }
+    );
+
+    // ✅ Set tutor's location for distance based discovery
+    // Send { latitude, longitude } or { area: "Mirpur" } to use the gazetteer
+    app.patch(
+      "/tutor/location",
+      verifyJWT,
+      requirePermission("tutor:profile"),
+      async (req, res) => {
+        try {
+          const { area } = req.body;
+          const latitude = coerceField(
+            TUITION_SCHEMA.latitude,
+            req.body.latitude ?? ""
+          );
+          const longitude = coerceField(
+            TUITION_SCHEMA.longitude,
+            req.body.longitude ?? ""
+          );
+
+          let location;
+          if (!latitude.error && !longitude.error) {
+            location = {
+              geo: toPoint(latitude.value, longitude.value),
+              geoSource: "tutor",
+            };
+          } else if (area) {
+            const place = geocodeLocation(area);
+            if (!place) {
+              return res.status(400).send({ message: `Unknown area: ${area}` });
+            }
+            location = {
+              geo: place.geo,
+              area: place.area,
+              geoSource: "gazetteer",
+            };
+          } else {
+            return res.status(400).send({
+              message: "Send a valid latitude and longitude, or an area",
+            });
+          }
+
+          const result = await tutorsCollection.updateOne(
+            { email: req.tokenEmail },
+            { $set: { ...location, updatedAt: new Date() } }
+          );
+          if (!result.matchedCount) {
+            return res.status(404).send({ message: "Tutor profile not found" });
+          }
+
+          res.send(result);
+        } catch (error) {
+          console.error("Error updating tutor location:", error);
+          res.status(500).send({ message: "Failed to update location" });
+        }
+      }
+    );
+
+    // ✅ Get tutor's ongoing tuitions
+    app.get(
+      "/tutor-ongoing-tuitions",
+      verifyJWT,
+      requirePermission("tuitions:apply"),
+      async (req, res) => {
+        try {
+          const tuitions = await tuitionsCollection
+            .find({
+              status: "hired",
+              hiredTutor: req.tokenEmail,
+              deletedAt: null,
+            })
+            .sort({ hiredAt: -1 })
+            .toArray();
+
+          res.send(tuitions);
+        } catch (error) {
+          console.error("Error fetching ongoing tuitions:", error);
+          res.status(500).send({ message: "Failed to fetch tuitions" });
+        }
+      }
+    );
+
+    /* ================= PAYOUTS ================= */
+
+    const WITHDRAWAL_METHODS = ["bkash", "nagad", "bank"];
+    const MIN_WITHDRAWAL_AMOUNT =
+      Number(process.env.MIN_WITHDRAWAL_AMOUNT) || 500;
+
+    // ✅ Get tutor's balance
+    app.get(
+      "/tutor/balance",
+      verifyJWT,
+      requirePermission("earnings:read"),
+      async (req, res) => {
+        try {
+          const balance = await getTutorBalance(req.tokenEmail);
+          res.send(balance);
+        } catch (error) {
+          console.error("Error fetching balance:", error);
+          res.status(500).send({ message: "Failed to fetch balance" });
+        }
+      }
+    );
+
+    // ✅ Get tutor's ledger entries
+    app.get(
+      "/tutor/ledger",
+      verifyJWT,
+      requirePermission("earnings:read"),
+      async (req, res) => {
+        try {
+          const entries = await ledgerCollection
+            .find({ tutorEmail: req.tokenEmail })
+            .sort({ createdAt: -1 })
+            .toArray();
+          res.send(entries);
+        } catch (error) {
+          console.error("Error fetching ledger:", error);
+          res.status(500).send({ message: "Failed to fetch ledger" });
+        }
+      }
+    );
+
+    // ✅ Tutor requests a withdrawal
+    app.post(
+      "/tutor/withdrawals",
+      verifyJWT,
+      requirePermission("earnings:withdraw"),
+      async (req, res) => {
+        try {
+          const { method, accountName, accountNumber, bankName, branchName } =
+            req.body;
+          const amount = roundMoney(parseFloat(req.body.amount));
+
+          if (!WITHDRAWAL_METHODS.includes(method)) {
+            return res.status(400).send({
+              message: `Method must be one of ${WITHDRAWAL_METHODS.join(", ")}`,
+            });
+          }
+
+          // bKash and Nagad are wallets tied to a BD mobile number
+          if (
+            method !== "bank" &&
+            !/^01[3-9]\d{8}$/.test(accountNumber || "")
+          ) {
+            return res
+              .status(400)
+              .send({ message: "A valid 11-digit mobile number is required" });
+          }
+
+          if (
+            method === "bank" &&
+            (!accountName || !accountNumber || !bankName)
+          ) {
+            return res.status(400).send({
+              message:
+                "Account name, account number and bank name are required",
+            });
+          }
+
+          if (!(amount >= MIN_WITHDRAWAL_AMOUNT)) {
+            return res.status(400).send({
+              message: `Minimum withdrawal is ${MIN_WITHDRAWAL_AMOUNT}`,
+            });
+          }
+
+          const outcome = await withWithdrawalLock(req.tokenEmail, async () => {
+            const { available } = await getTutorBalance(req.tokenEmail);
+            if (amount > available) return { available };
+
+            const result = await withdrawalsCollection.insertOne({
+              tutorEmail: req.tokenEmail,
+              amount,
+              method,
+              account: {
+                accountName: accountName || null,
+                accountNumber,
+                bankName: method === "bank" ? bankName : null,
+                branchName: method === "bank" ? branchName || null : null,
+              },
+              status: "pending",
+              requestedAt: new Date(),
+            });
+            return { result };
+          });
+
+          if (!outcome) {
+            return res.status(409).send({
+              message: "Another withdrawal request is in progress, try again",
+            });
+          }
+
+          if (!outcome.result) {
+            return res.status(400).send({
+              message: "Amount exceeds available balance",
+              available: outcome.available,
+            });
+          }
+
+          res.send(outcome.result);
+        } catch (error) {
+          console.error("Error requesting withdrawal:", error);
+          res.status(500).send({ message: "Failed to request withdrawal" });
+        }
+      }
+    );
+
+    // ✅ Get tutor's withdrawals
+    app.get(
+      "/tutor/withdrawals",
+      verifyJWT,
+      requirePermission("earnings:read"),
+      async (req, res) => {
+        try {
+          const withdrawals = await withdrawalsCollection
+            .find({ tutorEmail: req.tokenEmail })
+            .sort({ requestedAt: -1 })
+            .toArray();
+          res.send(withdrawals);
+        } catch (error) {
+          console.error("Error fetching withdrawals:", error);
+          res.status(500).send({ message: "Failed to fetch withdrawals" });
+        }
+      }
+    );
+
+    // ✅ Get withdrawal queue (admin)
+    app.get(
+      "/admin/withdrawals",
+      verifyJWT,
+      requirePermission("finance:read"),
+      async (req, res) => {
+        try {
+          const query = {};
+          if (req.query.status) query.status = req.query.status;
+
+          const withdrawals = await withdrawalsCollection
+            .find(query)
+            .sort({ requestedAt: 1 })
+            .toArray();
+          res.send(withdrawals);
+        } catch (error) {
+          console.error("Error fetching withdrawals:", error);
+          res.status(500).send({ message: "Failed to fetch withdrawals" });
+        }
+      }
+    );
+
+    // Move a withdrawal between states only from the expected state
+    const transitionWithdrawal = async (req, res, fromStatuses, update) => {
+      if (!ObjectId.isValid(req.params.id)) {
+        res.status(400).send({ message: "Invalid withdrawal ID" });
+        return null;
+      }
+
+      const changes = { ...update, processedBy: req.tokenEmail };
+      const before = await withdrawalsCollection.findOneAndUpdate(
+        { _id: new ObjectId(req.params.id), status: { $in: fromStatuses } },
+        { $set: changes },
+        { returnDocument: "before" }
+      );
+
+      if (!before) {
+        res.status(400).send({
+          message: `Withdrawal not found or not ${fromStatuses.join("/")}`,
+        });
+        return null;
+      }
+
+      const withdrawal = { ...before, ...changes };
+      await audit(
+        req,
+        `withdrawal.${update.status}`,
+        { type: "withdrawal", id: withdrawal._id },
+        { before, after: withdrawal }
+      );
+      return withdrawal;
+    };
+
+    // ✅ Approve withdrawal (admin)
+    app.patch(
+      "/admin/withdrawals/:id/approve",
+      verifyJWT,
+      requirePermission("finance:manage"),
+      async (req, res) => {
+        try {
+          const withdrawal = await transitionWithdrawal(req, res, ["pending"], {
+            status: "approved",
+            approvedAt: new Date(),
+          });
+          if (withdrawal) res.send(withdrawal);
+        } catch (error) {
+          console.error("Error approving withdrawal:", error);
+          res.status(500).send({ message: "Failed to approve withdrawal" });
+        }
+      }
+    );
+
+    // ✅ Reject withdrawal (admin)
+    app.patch(
+      "/admin/withdrawals/:id/reject",
+      verifyJWT,
+      requirePermission("finance:manage"),
+      async (req, res) => {
+        try {
+          const withdrawal = await transitionWithdrawal(
+            req,
+            res,
+            ["pending", "approved"],
+            {
+              status: "rejected",
+              rejectionReason: req.body.reason || null,
+              rejectedAt: new Date(),
+            }
+          );
+          if (withdrawal) res.send(withdrawal);
+        } catch (error) {
+          console.error("Error rejecting withdrawal:", error);
+          res.status(500).send({ message: "Failed to reject withdrawal" });
+        }
+      }
+    );
+
+    // ✅ Mark withdrawal paid with a transfer reference (admin)
+    app.patch(
+      "/admin/withdrawals/:id/paid",
+      verifyJWT,
+      requirePermission("finance:manage"),
+      async (req, res) => {
+        try {
+          const { reference } = req.body;
+          if (!reference) {
+            return res
+              .status(400)
+              .send({ message: "Payment reference is required" });
+          }
+
+          const withdrawal = await transitionWithdrawal(
+            req,
+            res,
+            ["approved"],
+            {
+              status: "paid",
+              reference,
+              paidAt: new Date(),
+            }
+          );
+          if (!withdrawal) return;
+
+          await postLedgerEntry({
+            entryKey: `withdrawal:${withdrawal._id}`,
+            tutorEmail: withdrawal.tutorEmail,
+            type: "debit",
+            source: "withdrawal",
+            sourceId: withdrawal._id.toString(),
+            amount: withdrawal.amount,
+            description: `${withdrawal.method} payout ${reference}`,
+          });
+
+          res.send(withdrawal);
+        } catch (error) {
+          console.error("Error marking withdrawal paid:", error);
+          res.status(500).send({ message: "Failed to mark withdrawal paid" });
+        }
+      }
+    );
+
+    // ✅ Reconcile tutor ledgers with orders (admin)
+    // Backfills missing order credits / refund debits, then compares every
+    // tutor's ledger balance with what the orders and paid withdrawals say.
+    app.post(
+      "/admin/ledger/reconcile",
+      verifyJWT,
+      requirePermission("finance:manage"),
+      async (req, res) => {
+        try {
+          const orders = await ordersCollection
+            .find({ tutorEmail: { $type: "string" } })
+            .toArray();
+
+          const expected = {};
+          for (const order of orders) {
+            await creditOrder(order);
+            for (const refund of order.refunds || []) {
+              await debitRefund(order, refund);
+            }
+            expected[order.tutorEmail] =
+              (expected[order.tutorEmail] || 0) +
+              (order.tutorAmount || order.amount || 0) -
+              (order.tutorAmountRefunded || 0);
+          }
+
+          const paidWithdrawals = await withdrawalsCollection
+            .find({ status: "paid" })
+            .toArray();
+          for (const withdrawal of paidWithdrawals) {
+            expected[withdrawal.tutorEmail] =
+              (expected[withdrawal.tutorEmail] || 0) - withdrawal.amount;
+          }
+
+          const mismatches = [];
+          for (const [tutorEmail, amount] of Object.entries(expected)) {
+            const { balance } = await getTutorBalance(tutorEmail);
+            if (Math.abs(balance - amount) >= 0.01) {
+              mismatches.push({
+                tutorEmail,
+                ledgerBalance: balance,
+                expectedBalance: roundMoney(amount),
+              });
+            }
+          }
+
+          const summary = {
+            tutorsChecked: Object.keys(expected).length,
+            ordersChecked: orders.length,
+            mismatches,
+          };
+          await audit(
+            req,
+            "ledger.reconcile",
+            { type: "ledger", id: "all" },
+            { meta: summary }
+          );
+          res.send(summary);
+        } catch (error) {
+          console.error("Error reconciling ledger:", error);
+          res.status(500).send({ message: "Failed to reconcile ledger" });
+        }
+      }
+    );
+
+    /* ================= RECOMMENDATIONS ================= */
+
+    // Subjects and classes each tutor has been hired for (lowercased)
+    const getHiringHistory = async (match = {}) => {
+      const rows = await applicationsCollection
+        .aggregate([
+          { $match: { ...match, status: "approved" } },
+          {
+            $lookup: {
+              from: "tuitions",
+              let: {
+                id: {
+                  $convert: {
+                    input: "$tuitionId",
+                    to: "objectId",
+                    onError: null,
+                  },
+                },
+              },
+              pipeline: [
+                { $match: { $expr: { $eq: ["$_id", "$$id"] } } },
+                { $project: { subject: 1, class: 1 } },
+              ],
+              as: "tuition",
+            },
+          },
+          { $unwind: "$tuition" },
+          {
+            $group: {
+              _id: "$tutorEmail",
+              subjects: { $addToSet: { $toLower: "$tuition.subject" } },
+              classes: { $addToSet: { $toLower: "$tuition.class" } },
+            },
+          },
+        ])
+        .toArray();
+
+      return new Map(
+        rows.map((row) => [
+          row._id,
+          { subjects: new Set(row.subjects), classes: new Set(row.classes) },
+        ])
+      );
+    };
+
+    // ✅ Approved tuitions ranked for the logged in tutor
+    app.get(
+      "/tutor/recommended-tuitions",
+      verifyJWT,
+      requirePermission("tuitions:apply"),
+      async (req, res) => {
+        try {
+          const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+          const tutor =
+            (await tutorsCollection.findOne({ email: req.tokenEmail })) || {};
+          const history =
+            (await getHiringHistory({ tutorEmail: req.tokenEmail })).get(
+              req.tokenEmail
+            ) || {};
+
+          const applied = await applicationsCollection
+            .find(
+              { tutorEmail: req.tokenEmail },
+              { projection: { tuitionId: 1 } }
+            )
+            .toArray();
+          const appliedIds = applied
+            .map((app) => app.tuitionId)
+            .filter((id) => ObjectId.isValid(id))
+            .map((id) => new ObjectId(id));
+
+          // Score the most recent open tuitions the tutor hasn't applied to
+          const tuitions = await tuitionsCollection
+            .find({
+              status: "approved",
+              deletedAt: null,
+              _id: { $nin: appliedIds },
+            })
+            .sort({ createdAt: -1 })
+            .limit(500)
+            .toArray();
+
+          const recommended = tuitions
+            .map((tuition) => ({
+              ...tuition,
+              match: scoreMatch(tutor, tuition, history),
+            }))
+            .filter((tuition) => tuition.match.score > 0)
+            .sort((a, b) => b.match.score - a.match.score)
+            .slice(0, limit);
+
+          res.send(recommended);
+        } catch (error) {
+          console.error("Error fetching recommended tuitions:", error);
+          res
+            .status(500)
+            .send({ message: "Failed to fetch recommended tuitions" });
+        }
+      }
+    );
+
+    // ✅ Active tutors ranked for a student's tuition
+    app.get("/tuitions/:id/recommended-tutors", verifyJWT, async (req, res) => {
+      try {
+        if (!ObjectId.isValid(req.params.id)) {
+          return res.status(400).send({ message: "Invalid tuition ID" });
+        }
+
+        const tuition = await tuitionsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+          deletedAt: null,
+        });
+        if (!tuition) {
+          return res.status(404).send({ message: "Tuition not found" });
+        }
+
+        if (tuition.postedBy.email !== req.tokenEmail) {
+          return res.status(403).send({ message: "Forbidden" });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+        const tutors = await tutorsCollection
+          .find(PUBLIC_TUTOR_FILTER)
+          .toArray();
+        const histories = await getHiringHistory({
+          tutorEmail: { $in: tutors.map((tutor) => tutor.email) },
+        });
+
+        const recommended = tutors
+          .map((tutor) => ({
+            ...tutor,
+            match: scoreMatch(tutor, tuition, histories.get(tutor.email)),
+          }))
+          .filter((tutor) => tutor.match.score > 0)
+          .sort((a, b) => b.match.score - a.match.score)
+          .slice(0, limit);
+
+        res.send(recommended);
+      } catch (error) {
+        console.error("Error fetching recommended tutors:", error);
+        res.status(500).send({ message: "Failed to fetch recommended tutors" });
+      }
+    });
+
+    /* ================= REVIEWS ================= */
+
+    // One review per hire: a tuition can be re-hired after a refund, so
+    // the key is the tuition plus the hired tutor.
+    reviewsCollection
+      .createIndex({ tuitionId: 1, tutorEmail: 1 }, { unique: true })
+      .catch((err) => console.error("Failed to create reviews index:", err));
+    reviewsCollection
+      .createIndex({ tutorEmail: 1, createdAt: -1 })
+      .catch((err) => console.error("Failed to create reviews index:", err));
+
+    // Keep ratingAverage / ratingCount on the tutor doc in sync with the
+    // visible reviews, so listings can sort on them.
+    const refreshTutorRating = async (tutorEmail) => {
+      const [summary] = await reviewsCollection
+        .aggregate([
+          { $match: { tutorEmail, hidden: { $ne: true } } },
+          {
+            $group: {
+              _id: null,
+              average: { $avg: "$rating" },
+              count: { $sum: 1 },
+            },
+          },
+        ])
+        .toArray();
+
+      await tutorsCollection.updateOne(
+        { email: tutorEmail },
+        {
+          $set: {
+            ratingAverage: summary ? Math.round(summary.average * 10) / 10 : 0,
+            ratingCount: summary?.count || 0,
+          },
+        }
+      );
+    };
+
+    // ✅ Student reviews the tutor hired for their tuition
+    app.post(
+      "/tuitions/:id/review",
+      verifyJWT,
+      requirePermission("reviews:write"),
+      async (req, res) => {
+        try {
+          const tuitionId = req.params.id;
+          if (!ObjectId.isValid(tuitionId)) {
+            return res.status(400).send({ message: "Invalid tuition ID" });
+          }
+
+          const { value, errors } = validateSchema(REVIEW_SCHEMA, req.body);
+          if (errors) {
+            return res.status(400).send({ message: "Invalid review", errors });
+          }
+
+          const tuition = await tuitionsCollection.findOne({
+            _id: new ObjectId(tuitionId),
+            deletedAt: null,
+          });
+          if (!tuition || tuition.postedBy?.email !== req.tokenEmail) {
+            return res.status(403).send({ message: "Forbidden" });
+          }
+          if (
+            !["hired", "ended"].includes(tuition.status) ||
+            !tuition.hiredTutor
+          ) {
+            return res
+              .status(400)
+              .send({ message: "You can only review a tutor you hired" });
+          }
+
+          const order = await ordersCollection.findOne({
+            tuitionId,
+            tutorEmail: tuition.hiredTutor,
+            studentEmail: req.tokenEmail,
+            status: { $ne: "refunded" },
+          });
+          if (!order) {
+            return res
+              .status(400)
+              .send({ message: "No payment found for this hire" });
+          }
+
+          const review = {
+            tuitionId,
+            orderId: order._id,
+            tutorEmail: tuition.hiredTutor,
+            studentEmail: req.tokenEmail,
+            studentName: tuition.postedBy?.name || "Student",
+            subject: tuition.subject,
+            rating: value.rating,
+            text: value.text || "",
+            reply: null,
+            hidden: false,
+            createdAt: new Date(),
+          };
+
+          const result = await reviewsCollection.updateOne(
+            { tuitionId, tutorEmail: tuition.hiredTutor },
+            { $setOnInsert: review },
+            { upsert: true }
+          );
+          if (!result.upsertedCount) {
+            return res
+              .status(409)
+              .send({ message: "You already reviewed this tutor" });
+          }
+
+          await refreshTutorRating(tuition.hiredTutor);
+          await notify(tuition.hiredTutor, {
+            type: "new_review",
+            title: "New review",
+            message: `You received a ${value.rating}-star review for ${tuition.subject}.`,
+            link: "/dashboard/reviews",
+            data: { reviewId: result.upsertedId, tuitionId },
+          });
+
+          res.status(201).send({ _id: result.upsertedId, ...review });
+        } catch (error) {
+          console.error("Error creating review:", error);
+          res.status(500).send({ message: "Failed to submit review" });
+        }
+      }
+    );
+
+    // ✅ Public reviews for a tutor profile (?page, ?limit)
+    app.get("/tutors/profile/:id/reviews", async (req, res) => {
+      try {
+        if (!ObjectId.isValid(req.params.id)) {
+          return res.status(400).send({ message: "Invalid tutor ID" });
+        }
+        const tutor = await tutorsCollection.findOne(
+          { _id: new ObjectId(req.params.id) },
+          { projection: { email: 1, ratingAverage: 1, ratingCount: 1 } }
+        );
+        if (!tutor) {
+          return res.status(404).send({ message: "Tutor not found" });
+        }
+
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+        const reviews = await reviewsCollection
+          .find(
+            { tutorEmail: tutor.email, hidden: { $ne: true } },
+            { projection: { studentEmail: 0, orderId: 0 } }
+          )
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .toArray();
+
+        res.send({
+          ratingAverage: tutor.ratingAverage || 0,
+          ratingCount: tutor.ratingCount || 0,
+          page,
+          reviews,
+        });
+      } catch (error) {
+        console.error("Error fetching reviews:", error);
+        res.status(500).send({ message: "Failed to fetch reviews" });
+      }
+    });
+
+    // ✅ Tutor's own reviews, including hidden ones
+    app.get(
+      "/tutor/reviews",
+      verifyJWT,
+      requirePermission("tutor:profile"),
+      async (req, res) => {
+        try {
+          const reviews = await reviewsCollection
+            .find(
+              { tutorEmail: req.tokenEmail },
+              { projection: { studentEmail: 0 } }
+            )
+            .sort({ createdAt: -1 })
+            .toArray();
+          res.send(reviews);
+        } catch (error) {
+          console.error("Error fetching tutor reviews:", error);
+          res.status(500).send({ message: "Failed to fetch reviews" });
+        }
+      }
+    );
+
+    // ✅ Tutor replies to a review (sending again edits the reply)
+    app.patch(
+      "/reviews/:id/reply",
+      verifyJWT,
+      requirePermission("tutor:profile"),
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).send({ message: "Invalid review ID" });
+          }
+          const { value, errors } = validateSchema(
+            REVIEW_REPLY_SCHEMA,
+            req.body
+          );
+          if (errors) {
+            return res.status(400).send({ message: "Invalid reply", errors });
+          }
+
+          const review = await reviewsCollection.findOneAndUpdate(
+            { _id: new ObjectId(req.params.id), tutorEmail: req.tokenEmail },
+            { $set: { reply: { text: value.text, repliedAt: new Date() } } },
+            { returnDocument: "after" }
+          );
+          if (!review) {
+            return res.status(404).send({ message: "Review not found" });
+          }
+
+          await notify(review.studentEmail, {
+            type: "review_reply",
+            title: "The tutor replied to your review",
+            message: value.text.slice(0, 140),
+            link: "/dashboard/my-tuitions",
+            data: { reviewId: review._id },
+          });
+
+          res.send(review);
+        } catch (error) {
+          console.error("Error replying to review:", error);
+          res.status(500).send({ message: "Failed to reply to review" });
+        }
+      }
+    );
+
+    // ✅ All reviews for moderation (?hidden=true|false, ?tutor=email)
+    app.get(
+      "/admin/reviews",
+      verifyJWT,
+      requirePermission("reviews:moderate"),
+      async (req, res) => {
+        try {
+          const query = {};
+          if (req.query.hidden === "true") query.hidden = true;
+          if (req.query.hidden === "false") query.hidden = { $ne: true };
+          if (req.query.tutor) query.tutorEmail = req.query.tutor;
+
+          const reviews = await reviewsCollection
+            .find(query)
+            .sort({ createdAt: -1 })
+            .limit(200)
+            .toArray();
+          res.send(reviews);
+        } catch (error) {
+          console.error("Error fetching reviews:", error);
+          res.status(500).send({ message: "Failed to fetch reviews" });
+        }
+      }
+    );
+
+    // ✅ Hide / unhide an abusive review (admin)
+    app.patch(
+      "/admin/reviews/:id/:action",
+      verifyJWT,
+      requirePermission("reviews:moderate"),
+      async (req, res) => {
+        try {
+          const { id, action } = req.params;
+          if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: "Invalid review ID" });
+          }
+          if (!["hide", "unhide"].includes(action)) {
+            return res.status(404).send({ message: "Unknown action" });
+          }
+
+          const update =
+            action === "hide"
+              ? {
+                  $set: {
+                    hidden: true,
+                    hiddenReason: String(req.body?.reason || "").slice(0, 500),
+                    hiddenBy: req.tokenEmail,
+                    hiddenAt: new Date(),
+                  },
+                }
+              : {
+                  $set: { hidden: false },
+                  $unset: { hiddenReason: "", hiddenBy: "", hiddenAt: "" },
+                };
+
+          const before = await reviewsCollection.findOne({
+            _id: new ObjectId(id),
+          });
+          const review = await reviewsCollection.findOneAndUpdate(
+            { _id: new ObjectId(id) },
+            update,
+            { returnDocument: "after" }
+          );
+          if (!review) {
+            return res.status(404).send({ message: "Review not found" });
+          }
+          await audit(
+            req,
+            `review.${action}`,
+            { type: "review", id },
+            { before, after: review }
+          );
+
+          await refreshTutorRating(review.tutorEmail);
+          res.send(review);
+        } catch (error) {
+          console.error("Error moderating review:", error);
+          res.status(500).send({ message: "Failed to update review" });
+        }
+      }
+    );
+
+    /* ================= SAVED SEARCHES ================= */
+
+    const parseSavedSearch = (body, partial) => {
+      const { value, errors } = validateSchema(SAVED_SEARCH_SCHEMA, body, {
+        partial,
+      });
+      if (errors) return { errors };
+
+      if (
+        value.minBudget !== undefined &&
+        value.maxBudget !== undefined &&
+        value.minBudget > value.maxBudget
+      ) {
+        return { errors: { minBudget: "must not exceed maxBudget" } };
+      }
+
+      const update = {};
+      if (value.name !== undefined) update.name = value.name;
+      if (value.alertMode !== undefined) update.alertMode = value.alertMode;
+      for (const key of SAVED_SEARCH_FILTERS) {
+        if (value[key] !== undefined) update[`filters.${key}`] = value[key];
+      }
+      return { value, update };
+    };
+
+    // ✅ Get tutor's saved searches
+    app.get(
+      "/saved-searches",
+      verifyJWT,
+      requirePermission("tuitions:apply"),
+      async (req, res) => {
+        try {
+          const searches = await savedSearchesCollection
+            .find({ tutorEmail: req.tokenEmail })
+            .sort({ createdAt: -1 })
+            .toArray();
+          res.send(searches);
+        } catch (error) {
+          console.error("Error fetching saved searches:", error);
+          res.status(500).send({ message: "Failed to fetch saved searches" });
+        }
+      }
+    );
+
+    // ✅ Save a search
+    app.post(
+      "/saved-searches",
+      verifyJWT,
+      requirePermission("tuitions:apply"),
+      async (req, res) => {
+        try {
+          const { value, errors } = parseSavedSearch(req.body, false);
+          if (errors) {
+            return res
+              .status(400)
+              .send({ message: "Invalid saved search", errors });
+          }
+
+          const count = await savedSearchesCollection.countDocuments({
+            tutorEmail: req.tokenEmail,
+          });
+          if (count >= SAVED_SEARCH_LIMIT) {
+            return res.status(400).send({
+              message: `You can save up to ${SAVED_SEARCH_LIMIT} searches`,
+            });
+          }
+
+          const filters = {};
+          for (const key of SAVED_SEARCH_FILTERS) {
+            if (value[key] !== undefined) filters[key] = value[key];
+          }
+
+          const result = await savedSearchesCollection.insertOne({
+            tutorEmail: req.tokenEmail,
+            name: value.name,
+            filters,
+            alertMode: value.alertMode,
+            createdAt: new Date(),
+          });
+          res.send(result);
+        } catch (error) {
+          console.error("Error saving search:", error);
+          res.status(500).send({ message: "Failed to save search" });
+        }
+      }
+    );
+
+    // ✅ Update a saved search (filters or alert mode)
+    app.patch(
+      "/saved-searches/:id",
+      verifyJWT,
+      requirePermission("tuitions:apply"),
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).send({ message: "Invalid search ID" });
+          }
+
+          const { update, errors } = parseSavedSearch(req.body, true);
+          if (errors) {
+            return res
+              .status(400)
+              .send({ message: "Invalid saved search", errors });
+          }
+
+          const result = await savedSearchesCollection.updateOne(
+            { _id: new ObjectId(req.params.id), tutorEmail: req.tokenEmail },
+            { $set: { ...update, updatedAt: new Date() } }
+          );
+          if (!result.matchedCount) {
+            return res.status(404).send({ message: "Saved search not found" });
+          }
+
+          res.send(result);
+        } catch (error) {
+          console.error("Error updating saved search:", error);
+          res.status(500).send({ message: "Failed to update saved search" });
+        }
+      }
+    );
+
+    // ✅ Delete a saved search
+    app.delete(
+      "/saved-searches/:id",
+      verifyJWT,
+      requirePermission("tuitions:apply"),
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).send({ message: "Invalid search ID" });
+          }
+
+          const result = await savedSearchesCollection.deleteOne({
+            _id: new ObjectId(req.params.id),
+            tutorEmail: req.tokenEmail,
+          });
+          res.send(result);
+        } catch (error) {
+          console.error("Error deleting saved search:", error);
+          res.status(500).send({ message: "Failed to delete saved search" });
+        }
+      }
+    );
+
+    // ✅ Get tutor's alert feed (instant matches and daily digests)
+    app.get(
+      "/saved-searches/alerts",
+      verifyJWT,
+      requirePermission("tuitions:apply"),
+      async (req, res) => {
+        try {
+          const query = { tutorEmail: req.tokenEmail, delivered: true };
+          if (req.query.unread === "true") query.read = false;
+
+          const alerts = await searchAlertsCollection
+            .find(query)
+            .sort({ createdAt: -1 })
+            .limit(100)
+            .toArray();
+          res.send(alerts);
+        } catch (error) {
+          console.error("Error fetching alerts:", error);
+          res.status(500).send({ message: "Failed to fetch alerts" });
+        }
+      }
+    );
+
+    // ✅ Mark an alert as read
+    app.patch(
+      "/saved-searches/alerts/:id/read",
+      verifyJWT,
+      requirePermission("tuitions:apply"),
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).send({ message: "Invalid alert ID" });
+          }
+
+          const result = await searchAlertsCollection.updateOne(
+            { _id: new ObjectId(req.params.id), tutorEmail: req.tokenEmail },
+            { $set: { read: true, readAt: new Date() } }
+          );
+          res.send(result);
+        } catch (error) {
+          console.error("Error marking alert read:", error);
+          res.status(500).send({ message: "Failed to update alert" });
+        }
+      }
+    );
+
+    // ✅ Send pending daily digests now (admin / scheduled cron)
+    app.post(
+      "/admin/saved-searches/digest",
+      verifyJWT,
+      requirePermission("system:manage"),
+      async (req, res) => {
+        try {
+          const digests = await runSavedSearchDigest();
+          await audit(
+            req,
+            "saved_search.digest",
+            { type: "system", id: "digest" },
+            { meta: { digests } }
+          );
+          res.send({ message: `Sent ${digests} digests`, digests });
+        } catch (error) {
+          console.error("Error running digest:", error);
+          res.status(500).send({ message: "Failed to run digest" });
+        }
+      }
+    );
+
+    /* ================= EMAIL QUEUE ROUTES ================= */
+
+    // ✅ Inspect the email queue (?status=pending|sending|sent|failed)
+    app.get(
+      "/admin/email-queue",
+      verifyJWT,
+      requirePermission("system:manage"),
+      async (req, res) => {
+        try {
+          const query = {};
+          if (req.query.status) query.status = req.query.status;
+
+          const [emails, counts] = await Promise.all([
+            emailQueueCollection
+              .find(query, { projection: { html: 0, text: 0 } })
+              .sort({ createdAt: -1 })
+              .limit(Math.min(parseInt(req.query.limit) || 50, 200))
+              .toArray(),
+            emailQueueCollection
+              .aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }])
+              .toArray(),
+          ]);
+
+          res.send({
+            transport: mailTransport.name,
+            counts: Object.fromEntries(counts.map((c) => [c._id, c.count])),
+            emails,
+          });
+        } catch (error) {
+          console.error("Error fetching email queue:", error);
+          res.status(500).send({ message: "Failed to fetch email queue" });
+        }
+      }
+    );
+
+    // ✅ Retry failed emails and flush the queue now (admin)
+    app.post(
+      "/admin/email-queue/process",
+      verifyJWT,
+      requirePermission("system:manage"),
+      async (req, res) => {
+        try {
+          let retried = 0;
+          if (req.body?.retryFailed) {
+            const result = await emailQueueCollection.updateMany(
+              { status: "failed" },
+              {
+                $set: {
+                  status: "pending",
+                  attempts: 0,
+                  nextAttemptAt: new Date(),
+                },
+              }
+            );
+            retried = result.modifiedCount;
+          }
+
+          const sent = await processEmailQueue();
+          await audit(
+            req,
+            "email_queue.process",
+            { type: "system", id: "emailQueue" },
+            { meta: { sent, retried } }
+          );
+          res.send({ message: `Sent ${sent} emails`, sent, retried });
+        } catch (error) {
+          console.error("Error processing email queue:", error);
+          res.status(500).send({ message: "Failed to process email queue" });
+        }
+      }
+    );
+
+    /* ================= NOTIFICATIONS ================= */
+
+    // ✅ Get own notifications (?unread=true, ?since=ISO date)
+    app.get("/notifications", verifyJWT, async (req, res) => {
+      try {
+        const query = { userEmail: req.tokenEmail };
+        if (req.query.unread === "true") query.read = false;
+        if (req.query.since)
+          query.createdAt = { $gt: new Date(req.query.since) };
+
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+        const notifications = await notificationsCollection
+          .find(query)
+          .sort({ createdAt: -1 })
+          .limit(limit)
+          .toArray();
+        res.send(notifications);
+      } catch (error) {
+        console.error("Error fetching notifications:", error);
+        res.status(500).send({ message: "Failed to fetch notifications" });
+      }
+    });
+
+    // ✅ Get unread notification count (for the bell badge)
+    app.get("/notifications/unread-count", verifyJWT, async (req, res) => {
+      try {
+        const count = await notificationsCollection.countDocuments({
+          userEmail: req.tokenEmail,
+          read: false,
+        });
+        res.send({ count });
+      } catch (error) {
+        console.error("Error counting notifications:", error);
+        res.status(500).send({ message: "Failed to count notifications" });
+      }
+    });
+
+    // ✅ Long poll: answers as soon as a notification newer than ?since
+    // exists, or with [] after ?timeout seconds (max 30)
+    app.get("/notifications/poll", verifyJWT, async (req, res) => {
+      try {
+        const since = req.query.since ? new Date(req.query.since) : new Date();
+        const missed = await notificationsCollection
+          .find({ userEmail: req.tokenEmail, createdAt: { $gt: since } })
+          .sort({ createdAt: -1 })
+          .toArray();
+        if (missed.length) return res.send(missed);
+
+        const timeout = Math.min(parseInt(req.query.timeout) || 25, 30) * 1000;
+        const email = req.tokenEmail;
+
+        const done = (notifications) => {
+          clearTimeout(timer);
+          notificationEvents.off(email, onNotification);
+          if (!res.headersSent) res.send(notifications);
+        };
+        const onNotification = (notification) => done([notification]);
+        const timer = setTimeout(() => done([]), timeout);
+
+        notificationEvents.on(email, onNotification);
+        req.on("close", () => {
+          clearTimeout(timer);
+          notificationEvents.off(email, onNotification);
+        });
+      } catch (error) {
+        console.error("Error polling notifications:", error);
+        res.status(500).send({ message: "Failed to poll notifications" });
+      }
+    });
+
+    // ✅ Real-time event stream (Server-Sent Events)
+    // EventSource can't send headers, so the Firebase ID token may also be
+    // passed as ?token=
+    app.get("/events", async (req, res) => {
+      if (!REALTIME_ENABLED) {
+        return res.status(503).send({
+          message: "Real-time updates are not available",
+          fallback: "/notifications/poll",
+        });
+      }
+
+      const token =
+        req.query.token || req?.headers?.authorization?.split(" ")[1];
+
+      let auth;
+      try {
+        auth = await authenticateToken(token);
+      } catch (error) {
+        console.error("Error verifying token:", error);
+        return res.status(500).send({ message: "Failed to verify token" });
+      }
+      const { decoded, ...failure } = auth;
+      if (!decoded) return res.status(401).send(failure);
+      const email = decoded.email;
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+
+      const send = (event, data) =>
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      const onEvent = ({ event, data }) => send(event, data);
+      const onNotification = (notification) =>
+        send("notification", notification);
+
+      res.write("retry: 5000\n\n");
+      send("ready", { email });
+
+      realtimeEvents.on(email, onEvent);
+      notificationEvents.on(email, onNotification);
+
+      const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+      // Close when the token expires; the client reconnects with a fresh one
+      const expiry = setTimeout(
+        () => res.end(),
+        Math.max(decoded.exp * 1000 - Date.now(), 0)
+      );
+
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        realtimeEvents.off(email, onEvent);
+        notificationEvents.off(email, onNotification);
+      });
+    });
+
+    // ✅ Mark all own notifications as read
+    app.patch("/notifications/read-all", verifyJWT, async (req, res) => {
+      try {
+        const result = await notificationsCollection.updateMany(
+          { userEmail: req.tokenEmail, read: false },
+          { $set: { read: true, readAt: new Date() } }
+        );
+        res.send(result);
+      } catch (error) {
+        console.error("Error marking notifications read:", error);
+        res.status(500).send({ message: "Failed to update notifications" });
+      }
+    });
+
+    // ✅ Mark one notification as read (or unread with { read: false })
+    app.patch("/notifications/:id/read", verifyJWT, async (req, res) => {
+      try {
+        if (!ObjectId.isValid(req.params.id)) {
+          return res.status(400).send({ message: "Invalid notification ID" });
+        }
+
+        const read = req.body?.read !== false;
+        const result = await notificationsCollection.updateOne(
+          { _id: new ObjectId(req.params.id), userEmail: req.tokenEmail },
+          read
+            ? { $set: { read: true, readAt: new Date() } }
+            : { $set: { read: false }, $unset: { readAt: "" } }
+        );
+        if (!result.matchedCount) {
+          return res.status(404).send({ message: "Notification not found" });
+        }
+
+        res.send(result);
+      } catch (error) {
+        console.error("Error marking notification read:", error);
+        res.status(500).send({ message: "Failed to update notification" });
+      }
+    });
+
+    /* ================= USERS ================= */
+
+    // Sign-up may pick student or tutor; other roles are granted by admins
+    app.post("/user", async (req, res) => {
+      try {
+        const { roles, permissions, ...body } = req.body;
+        const role = String(body.role || "student").toLowerCase();
+        if (!["student", "tutor"].includes(role)) {
+          return res.status(400).send({ message: "Invalid role" });
+        }
+
+        const userData = {
+          ...body,
+          role,
+          roles: [role],
+          created_at: new Date(),
+          last_loggedIn: new Date(),
+        };
+
+        const exists = await usersCollection.findOne({
+          email: userData.email,
+        });
+
+        if (exists?.deletedAt) {
+          return res
+            .status(403)
+            .send({ message: "This account has been deactivated" });
+        }
+
+        if (exists) {
+          await usersCollection.updateOne(
+            { email: userData.email },
+            { $set: { last_loggedIn: new Date() } }
+          );
+          return res.send({ message: "User updated" });
+        }
+
+        const result = await usersCollection.insertOne(userData);
+        res.send(result);
+      } catch (error) {
+        console.error("Error saving user:", error);
+        res.status(500).send({ message: "Failed to save user" });
+      }
+    });
+
+    app.get("/user/role", verifyJWT, async (req, res) => {
+      try {
+        const user = await loadUser(req);
+        res.send({
+          role: primaryRole(getUserRoles(user)),
+          roles: getUserRoles(user),
+          permissions: getPermissions(user),
+        });
+      } catch (error) {
+        console.error("Error fetching role:", error);
+        res.status(500).send({ message: "Failed to fetch role" });
+      }
+    });
+
+    // ✅ Add the student role to own account, so a tutor who is also a
+    // parent can post tuitions. Every other role is granted by an admin.
+    app.post("/user/roles/student", verifyJWT, async (req, res) => {
+      try {
+        const before = await loadUser(req);
+        if (!before || before.deletedAt) {
+          return res.status(404).send({ message: "User not found" });
+        }
+
+        if (!hasRole(before, "student")) {
+          await grantRole(req.tokenEmail, "student");
+          await audit(
+            req,
+            "user.add_role",
+            { type: "user", id: req.tokenEmail },
+            {
+              before,
+              after: await usersCollection.findOne({ email: req.tokenEmail }),
+              meta: { role: "student" },
+            }
+          );
+        }
+
+        const user = await usersCollection.findOne({ email: req.tokenEmail });
+        res.send({
+          role: primaryRole(getUserRoles(user)),
+          roles: getUserRoles(user),
+          permissions: getPermissions(user),
+        });
+      } catch (error) {
+        console.error("Error adding student role:", error);
+        res.status(500).send({ message: "Failed to add student role" });
+      }
+    });
+
+    // ✅ Get own profile
+    app.get("/profile", verifyJWT, async (req, res) => {
+      try {
+        const user = await usersCollection.findOne({
+          email: req.tokenEmail,
+          deletedAt: null,
+        });
+        if (!user) {
+          return res.status(404).send({ message: "User not found" });
+        }
+        res.send(user);
+      } catch (error) {
+        console.error("Error fetching profile:", error);
+        res.status(500).send({ message: "Failed to fetch profile" });
+      }
+    });
+
+    // ✅ Update own profile
+    app.patch("/profile", verifyJWT, async (req, res) => {
+      try {
+        const { name, image, phone } = req.body;
+
+        const updateData = {};
+        if (name) updateData.name = name;
+        if (image) updateData.image = image;
+        if (phone) updateData.phone = phone;
+        updateData.updatedAt = new Date();
+
+        const result = await usersCollection.updateOne(
+          { email: req.tokenEmail },
+          { $set: updateData }
+        );
+
+        res.send(result);
+      } catch (error) {
+        console.error("Error updating profile:", error);
+        res.status(500).send({ message: "Failed to update profile" });
+      }
+    });
+
+    // ✅ Get all users (admin, ?deleted=true|all for deactivated ones)
+    app.get(
+      "/users",
+      verifyJWT,
+      requirePermission("users:read"),
+      async (req, res) => {
+        try {
+          const users = await usersCollection
+            .find(deletedFilter(req))
+            .toArray();
+          res.send(users);
+        } catch (error) {
+          console.error("Error fetching users:", error);
+          res.status(500).send({ message: "Failed to fetch users" });
+        }
+      }
+    );
+
+    // ✅ Update user (admin). Send roles: ["student", "tutor"] for several
+    // roles (role: "x" still replaces them with one) and permissions: [...]
+    // for extra grants on top of the roles.
+    app.patch(
+      "/users/:email",
+      verifyJWT,
+      requirePermission("users:manage"),
+      async (req, res) => {
+        try {
+          const email = req.params.email;
+          const { name, role, roles, permissions, image } = req.body;
+
+          const updateData = {};
+          if (name) updateData.name = name;
+          if (image) updateData.image = image;
+
+          const newRoles = roles ?? (role ? [role] : null);
+          if (newRoles) {
+            const list = Array.isArray(newRoles)
+              ? [...new Set(newRoles.map((r) => String(r).toLowerCase()))]
+              : [];
+            if (!list.length || list.some((r) => !ROLES.includes(r))) {
+              return res
+                .status(400)
+                .send({ message: `roles must be from ${ROLES.join(", ")}` });
+            }
+            updateData.roles = list;
+            updateData.role = primaryRole(list);
+          }
+          if (permissions !== undefined) {
+            if (
+              !Array.isArray(permissions) ||
+              permissions.some((p) => !PERMISSIONS.includes(p))
+            ) {
+              return res.status(400).send({
+                message: `permissions must be from ${PERMISSIONS.join(", ")}`,
+              });
+            }
+            updateData.permissions = [...new Set(permissions)];
+          }
+
+          const before = await usersCollection.findOne({ email });
+          if (!before) {
+            return res.status(404).send({ message: "User not found" });
+          }
+
+          const result = await usersCollection.updateOne(
+            { email },
+            { $set: updateData }
+          );
+          if (result.modifiedCount) {
+            await audit(
+              req,
+              "user.update",
+              { type: "user", id: email },
+              { before, after: await usersCollection.findOne({ email }) }
+            );
+          }
+
+          // A new tutor gets a public profile, without overriding a profile
+          // an admin set Inactive; a demoted tutor drops out of the listings
+          const wasTutor = hasRole(before, "tutor");
+          if (updateData.roles?.includes("tutor") && !wasTutor) {
+            await ensureTutorProfile(email, { reactivate: false });
+          } else if (updateData.roles && !updateData.roles.includes("tutor")) {
+            await tutorsCollection.updateOne(
+              { email },
+              { $set: { status: "Inactive", updatedAt: new Date() } }
+            );
+          }
+
+          if (result.modifiedCount && updateData.roles) {
+            await notify(email, {
+              type: "role_changed",
+              title: "Account updated",
+              message: `An admin changed your roles to ${updateData.roles.join(
+                ", "
+              )}.`,
+              link: "/dashboard",
+              data: { role: updateData.role, roles: updateData.roles },
+            });
+          }
+
+          res.send(result);
+        } catch (error) {
+          console.error("Error updating user:", error);
+          res.status(500).send({ message: "Failed to update user" });
+        }
+      }
+    );
+
+    // ✅ Deactivate user (admin). The account is soft deleted, the
+    // Firebase login disabled and the user's open tuitions and pending
+    // applications hidden until an admin restores the account.
+    app.delete(
+      "/users/:email",
+      verifyJWT,
+      requirePermission("users:manage"),
+      async (req, res) => {
+        try {
+          const email = req.params.email;
+
+          if (email === req.tokenEmail) {
+            return res
+              .status(400)
+              .send({ message: "Cannot delete your own account" });
+          }
+
+          const before = await usersCollection.findOne({
+            email,
+            deletedAt: null,
+          });
+          if (!before) {
+            return res.status(404).send({ message: "User not found" });
+          }
+
+          // Fail before touching the database if Firebase can't be updated
+          const firebaseDisabled = await setFirebaseDisabled(email, true);
+
+          const cascade = { type: "user", id: email };
+          const result = await usersCollection.updateOne(
+            { email, deletedAt: null },
+            softDelete(req.tokenEmail)
+          );
+
+          const openTuitions = await tuitionsCollection
+            .find(
+              {
+                "postedBy.email": email,
+                status: { $in: ["pending", "approved"] },
+                deletedAt: null,
+              },
+              { projection: { _id: 1 } }
+            )
+            .toArray();
+          const tuitionIds = openTuitions.map((t) => t._id);
+
+          const tuitions = await tuitionsCollection.updateMany(
+            { _id: { $in: tuitionIds } },
+            softDelete(req.tokenEmail, cascade)
+          );
+          const applications = await applicationsCollection.updateMany(
+            {
+              $or: [
+                { tutorEmail: email },
+                { tuitionId: { $in: tuitionIds.map(String) } },
+              ],
+              status: "pending",
+              deletedAt: null,
+            },
+            softDelete(req.tokenEmail, cascade)
+          );
+          await tutorsCollection.updateOne(
+            { email },
+            { $set: { status: "Inactive", updatedAt: new Date() } }
+          );
+
+          const summary = {
+            firebaseDisabled,
+            tuitionsHidden: tuitions.modifiedCount,
+            applicationsHidden: applications.modifiedCount,
+          };
+          await audit(
+            req,
+            "user.deactivate",
+            { type: "user", id: email },
+            { before, meta: summary }
+          );
+
+          res.send({ ...result, ...summary });
+        } catch (error) {
+          console.error("Error deleting user:", error);
+          res.status(500).send({ message: "Failed to delete user" });
+        }
+      }
+    );
+
+    // ✅ Restore a deactivated user and everything hidden with them (admin)
+    app.patch(
+      "/admin/users/:email/restore",
+      verifyJWT,
+      requirePermission("users:manage"),
+      async (req, res) => {
+        try {
+          const email = req.params.email;
+          const before = await usersCollection.findOne({
+            email,
+            deletedAt: { $ne: null },
+          });
+          if (!before) {
+            return res
+              .status(404)
+              .send({ message: "No deactivated user with that email" });
+          }
+
+          const firebaseEnabled = await setFirebaseDisabled(email, false);
+          await usersCollection.updateOne({ _id: before._id }, RESTORE);
+
+          const cascade = {
+            "deletedCascade.type": "user",
+            "deletedCascade.id": email,
+          };
+          const tuitions = await tuitionsCollection.updateMany(
+            cascade,
+            RESTORE
+          );
+          const applications = await applicationsCollection.updateMany(
+            cascade,
+            RESTORE
+          );
+          if (hasRole(before, "tutor")) {
+            await tutorsCollection.updateOne(
+              { email },
+              { $set: { status: "Active", updatedAt: new Date() } }
+            );
+          }
+
+          const summary = {
+            firebaseEnabled,
+            tuitionsRestored: tuitions.modifiedCount,
+            applicationsRestored: applications.modifiedCount,
+          };
+          await audit(
+            req,
+            "user.restore",
+            { type: "user", id: email },
+            {
+              before,
+              after: await usersCollection.findOne({ _id: before._id }),
+              meta: summary,
+            }
+          );
+
+          res.send({ message: "User restored", ...summary });
+        } catch (error) {
+          console.error("Error restoring user:", error);
+          res.status(500).send({ message: "Failed to restore user" });
+        }
+      }
+    );
+
+    /* ================= BECOME TUTOR ================= */
+
+    // Store uploaded verification files and describe them for the request
+    const storeVerificationDocuments = async (files = {}) => {
+      const documents = [];
+      for (const [kind, list] of Object.entries(files)) {
+        for (const file of list) {
+          const storageKey = await fileStorage.put(file.buffer, {
+            originalName: file.originalname,
+            mimeType: file.mimetype,
+          });
+          documents.push({
+            _id: new ObjectId(),
+            kind,
+            originalName: file.originalname,
+            mimeType: file.mimetype,
+            size: file.size,
+            storage: fileStorage.name,
+            storageKey,
+            uploadedAt: new Date(),
+          });
+        }
+      }
+      return documents;
+    };
+
+    // Add a download link to each document (admin review / own request)
+    const withDocumentUrls = (request) => ({
+      ...request,
+      documents: (request.documents || []).map(({ storageKey, ...doc }) => ({
+        ...doc,
+        label: VERIFICATION_DOCUMENTS[doc.kind]?.label || doc.kind,
+        url: `/tutor-requests/${request._id}/documents/${doc._id}`,
+      })),
+    });
+
+    // Send as multipart/form-data: identity (NID or student ID),
+    // certificates, optional transcript, plus identityType=nid|student_id
+    app.post(
+      "/become-tutor",
+      verifyJWT,
+      uploadVerificationDocuments,
+      async (req, res) => {
+        try {
+          const email = req.tokenEmail;
+          const user = await loadUser(req);
+
+          if (hasRole(user, "tutor")) {
+            return res.status(400).send({ message: "Already a Tutor" });
+          }
+
+          const alreadyRequested = await tutorRequestsCollection.findOne({
+            email,
+            status: { $in: OPEN_TUTOR_REQUEST_STATUSES },
+          });
+
+          if (alreadyRequested) {
+            return res.status(409).send({ message: "Request already sent" });
+          }
+
+          const lastRejected = await tutorRequestsCollection.findOne(
+            { email, status: "rejected" },
+            { sort: { rejectedAt: -1 } }
+          );
+          const reapplyAt = reapplyDateAfter(lastRejected);
+          if (reapplyAt && reapplyAt > new Date()) {
+            return res.status(429).send({
+              message: `You can apply again after ${formatDate(reapplyAt)}`,
+              reapplyAt,
+            });
+          }
+
+          const missing = Object.entries(VERIFICATION_DOCUMENTS)
+            .filter(([kind, doc]) => doc.required && !req.files?.[kind]?.length)
+            .map(([, doc]) => doc.label);
+          if (missing.length) {
+            return res
+              .status(400)
+              .send({ message: `Please upload: ${missing.join(", ")}` });
+          }
+
+          const identityType =
+            req.body?.identityType === "student_id" ? "student_id" : "nid";
+
+          const result = await tutorRequestsCollection.insertOne({
+            email,
+            name: user.name,
+            image: user.image,
+            identityType,
+            documents: await storeVerificationDocuments(req.files),
+            status: "pending",
+            reviewLog: [],
+            requestedAt: new Date(),
+          });
+
+          res.send(result);
+        } catch (error) {
+          console.error("Error creating tutor request:", error);
+          res.status(500).send({ message: "Failed to create request" });
+        }
+      }
+    );
+
+    // ✅ Own tutor request status, history and when re-applying is allowed
+    app.get("/my-tutor-request", verifyJWT, async (req, res) => {
+      try {
+        const requests = await tutorRequestsCollection
+          .find({ email: req.tokenEmail })
+          .sort({ requestedAt: -1 })
+          .toArray();
+
+        const [latest] = requests;
+        const open = requests.find((r) =>
+          OPEN_TUTOR_REQUEST_STATUSES.includes(r.status)
+        );
+        const reapplyAt = reapplyDateAfter(
+          requests.find((r) => r.status === "rejected")
+        );
+        const user = await loadUser(req);
+
+        res.send({
+          status: latest?.status || "none",
+          current: latest ? withDocumentUrls(latest) : null,
+          history: requests.map(withDocumentUrls),
+          canApply:
+            !hasRole(user, "tutor") &&
+            !open &&
+            !(reapplyAt && reapplyAt > new Date()),
+          reapplyAt: reapplyAt && reapplyAt > new Date() ? reapplyAt : null,
+        });
+      } catch (error) {
+        console.error("Error fetching own tutor request:", error);
+        res.status(500).send({ message: "Failed to fetch request" });
+      }
+    });
+
+    // ✅ Add the documents an admin asked for and send the request back
+    // for review (multipart/form-data, same fields as above plus note)
+    app.patch(
+      "/become-tutor",
+      verifyJWT,
+      uploadVerificationDocuments,
+      async (req, res) => {
+        try {
+          const request = await tutorRequestsCollection.findOne({
+            email: req.tokenEmail,
+            status: "info_requested",
+          });
+          if (!request) {
+            return res
+              .status(404)
+              .send({ message: "No request is waiting for more information" });
+          }
+
+          const documents = await storeVerificationDocuments(req.files);
+          if (!documents.length) {
+            return res
+              .status(400)
+              .send({ message: "Upload at least one document" });
+          }
+
+          const result = await tutorRequestsCollection.updateOne(
+            { _id: request._id, status: "info_requested" },
+            {
+              $set: { status: "pending", resubmittedAt: new Date() },
+              $push: {
+                documents: { $each: documents },
+                reviewLog: {
+                  action: "resubmitted",
+                  by: req.tokenEmail,
+                  note: String(req.body?.note || "").slice(0, 1000),
+                  at: new Date(),
+                },
+              },
+            }
+          );
+
+          res.send(result);
+        } catch (error) {
+          console.error("Error resubmitting tutor request:", error);
+          res.status(500).send({ message: "Failed to update request" });
+        }
+      }
+    );
+
+    // ✅ Download a verification document (admin or the applicant)
+    app.get(
+      "/tutor-requests/:id/documents/:docId",
+      verifyJWT,
+      async (req, res) => {
+        try {
+          const { id, docId } = req.params;
+          if (!ObjectId.isValid(id) || !ObjectId.isValid(docId)) {
+            return res.status(400).send({ message: "Invalid document ID" });
+          }
+
+          const request = await tutorRequestsCollection.findOne({
+            _id: new ObjectId(id),
+          });
+          if (!request) {
+            return res.status(404).send({ message: "Request not found" });
+          }
+          if (request.email !== req.tokenEmail) {
+            if (!hasPermission(await loadUser(req), "tutors:review")) {
+              return res.status(403).send({ message: "Forbidden" });
+            }
+          }
+
+          const doc = request.documents?.find((d) => d._id.equals(docId));
+          const stream = doc && (await fileStorage.get(doc.storageKey));
+          if (!stream) {
+            return res.status(404).send({ message: "Document not found" });
+          }
+
+          res.setHeader("Content-Type", doc.mimeType);
+          res.setHeader(
+            "Content-Disposition",
+            `inline; filename="${doc.originalName.replace(/["\r\n]/g, "")}"`
+          );
+          stream.on("error", (err) => {
+            console.error("Error reading document:", err);
+            res.destroy(err);
+          });
+          stream.pipe(res);
+        } catch (error) {
+          console.error("Error fetching document:", error);
+          res.status(500).send({ message: "Failed to fetch document" });
+        }
+      }
+    );
+
+    /* ================= TUTOR PROFILE ================= */
+
+    tutorsCollection
+      .createIndex({ email: 1 }, { unique: true })
+      .catch((err) => console.error("Failed to create tutors index:", err));
+
+    const isProfileComplete = (profile) =>
+      Boolean(
+        profile.subjects?.length &&
+        profile.classes?.length &&
+        profile.areas?.length &&
+        profile.salaryRange
+      );
+
+    // Create an empty, incomplete profile for a newly approved tutor; it is
+    // listed once the tutor fills it in. Existing profiles keep their
+    // content, and are re-activated unless reactivate is false.
+    const ensureTutorProfile = async (email, { reactivate = true } = {}) => {
+      const user = await usersCollection.findOne({ email });
+      await tutorsCollection.updateOne(
+        { email },
+        {
+          $set: {
+            updatedAt: new Date(),
+            ...(reactivate && { status: "Active" }),
+          },
+          $setOnInsert: {
+            ...(!reactivate && { status: "Active" }),
+            email,
+            name: user?.name || "",
+            image: user?.image || "",
+            subjects: [],
+            classes: [],
+            areas: [],
+            profileComplete: false,
+            createdAt: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+    };
+
+    // ✅ Get own tutor profile
+    app.get(
+      "/tutor/profile",
+      verifyJWT,
+      requirePermission("tutor:profile"),
+      async (req, res) => {
+        try {
+          const profile = await tutorsCollection.findOne({
+            email: req.tokenEmail,
+          });
+          if (!profile) {
+            return res.status(404).send({ message: "Tutor profile not found" });
+          }
+          res.send(profile);
+        } catch (error) {
+          console.error("Error fetching tutor profile:", error);
+          res.status(500).send({ message: "Failed to fetch tutor profile" });
+        }
+      }
+    );
+
+    // ✅ Save own tutor profile with every required field (POST) or only the
+    // fields sent (PATCH). Fields left out of a POST keep their value.
+    const saveTutorProfile = (partial) => async (req, res) => {
+      try {
+        const { value, errors } = validateTutorProfile(req.body, { partial });
+        if (errors) {
+          return res
+            .status(400)
+            .send({ message: "Invalid tutor profile", errors });
+        }
+
+        const existing = await tutorsCollection.findOne({
+          email: req.tokenEmail,
+        });
+        if (partial && !existing) {
+          return res.status(404).send({ message: "Tutor profile not found" });
+        }
+
+        const user = await usersCollection.findOne({ email: req.tokenEmail });
+        const profile = { ...existing, ...value };
+        const update = {
+          $set: {
+            ...value,
+            name: profile.name || user?.name || "",
+            image: profile.image || user?.image || "",
+            profileComplete: isProfileComplete(profile),
+            updatedAt: new Date(),
+          },
+          $setOnInsert: {
+            email: req.tokenEmail,
+            status: "Active",
+            createdAt: new Date(),
+          },
+        };
+
+        const result = await tutorsCollection.findOneAndUpdate(
+          { email: req.tokenEmail },
+          update,
+          { upsert: true, returnDocument: "after" }
+        );
+        res.send(result);
+      } catch (error) {
+        console.error("Error saving tutor profile:", error);
+        res.status(500).send({ message: "Failed to save tutor profile" });
+      }
+    };
+
+    app.post(
+      "/tutor/profile",
+      verifyJWT,
+      requirePermission("tutor:profile"),
+      saveTutorProfile(false)
+    );
+    app.patch(
+      "/tutor/profile",
+      verifyJWT,
+      requirePermission("tutor:profile"),
+      saveTutorProfile(true)
+    );
+
+    // ✅ All tutor profiles, any status (admin, ?status=Active|Inactive)
+    app.get(
+      "/admin/tutors",
+      verifyJWT,
+      requirePermission("tutors:review"),
+      async (req, res) => {
+        try {
+          const query = {};
+          if (TUTOR_STATUSES.includes(req.query.status)) {
+            query.status = req.query.status;
+          }
+          const tutors = await tutorsCollection
+            .find(query)
+            .sort({ createdAt: -1 })
+            .toArray();
+          res.send(tutors);
+        } catch (error) {
+          console.error("Error fetching tutors:", error);
+          res.status(500).send({ message: "Failed to fetch tutors" });
+        }
+      }
+    );
+
+    // ✅ Activate / deactivate a tutor profile (admin)
+    app.patch(
+      "/admin/tutors/:id/status",
+      verifyJWT,
+      requirePermission("tutors:review"),
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).send({ message: "Invalid tutor ID" });
+          }
+          const { status } = req.body || {};
+          if (!TUTOR_STATUSES.includes(status)) {
+            return res.status(400).send({
+              message: `status must be one of ${TUTOR_STATUSES.join(", ")}`,
+            });
+          }
+
+          const before = await tutorsCollection.findOne({
+            _id: new ObjectId(req.params.id),
+          });
+          const tutor = await tutorsCollection.findOneAndUpdate(
+            { _id: new ObjectId(req.params.id) },
+            {
+              $set: {
+                status,
+                statusChangedBy: req.tokenEmail,
+                statusChangedAt: new Date(),
+              },
+            },
+            { returnDocument: "after" }
+          );
+          if (!tutor) {
+            return res.status(404).send({ message: "Tutor not found" });
+          }
+          await audit(
+            req,
+            "tutor.status",
+            { type: "tutor", id: req.params.id },
+            { before, after: tutor }
+          );
+
+          await notify(tutor.email, {
+            type: "tutor_status_changed",
+            title:
+              status === "Active" ? "Profile reactivated" : "Profile hidden",
+            message:
+              status === "Active"
+                ? "Your tutor profile is visible to students again."
+                : "An admin deactivated your tutor profile.",
+            link: "/dashboard/profile",
+            data: { status },
+          });
+
+          res.send(tutor);
+        } catch (error) {
+          console.error("Error updating tutor status:", error);
+          res.status(500).send({ message: "Failed to update tutor status" });
+        }
+      }
+    );
+
+    /* ================= ADMIN ENDPOINTS ================= */
+
+    // ✅ Get tutor requests (?status=pending|info_requested|approved|
+    // rejected|all, ?from/?to on the request date; default pending)
+    app.get(
+      "/tutor-requests",
+      verifyJWT,
+      requirePermission("tutors:review"),
+      async (req, res) => {
+        try {
+          const { status = "pending", from, to } = req.query;
+          const query = {};
+          if (status !== "all") {
+            if (!TUTOR_REQUEST_STATUSES.includes(status)) {
+              return res.status(400).send({ message: "Invalid status" });
+            }
+            query.status = status;
+          }
+          if (from || to) {
+            query.requestedAt = {};
+            if (from) query.requestedAt.$gte = new Date(from);
+            if (to) query.requestedAt.$lt = dateRangeEnd(to);
+            if (Object.values(query.requestedAt).some((d) => isNaN(d))) {
+              return res.status(400).send({ message: "Invalid date" });
+            }
+          }
+
+          const result = await tutorRequestsCollection
+            .find(query)
+            .sort({ requestedAt: -1 })
+            .toArray();
+
+          console.log(`Found ${result.length} ${status} tutor requests`);
+          res.send(result.map(withDocumentUrls));
+        } catch (error) {
+          console.error("Error fetching tutor requests:", error);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    // ✅ Every tutor request a user has made (admin)
+    app.get(
+      "/users/:email/tutor-requests",
+      verifyJWT,
+      requirePermission("tutors:review"),
+      async (req, res) => {
+        try {
+          const requests = await tutorRequestsCollection
+            .find({ email: req.params.email })
+            .sort({ requestedAt: -1 })
+            .toArray();
+          res.send(requests.map(withDocumentUrls));
+        } catch (error) {
+          console.error("Error fetching tutor request history:", error);
+          res.status(500).send({ message: "Failed to fetch history" });
+        }
+      }
+    );
+
+    // Admin actions on a request: URL action -> resulting status
+    const TUTOR_REQUEST_ACTIONS = {
+      approve: "approved",
+      reject: "rejected",
+      "request-info": "info_requested",
+    };
+
+    // Record an admin decision on one open request and run its side
+    // effects. Returns the updated request, or null if it was not open.
+    const decideTutorRequest = async (requestId, action, adminEmail, note) => {
+      const status = TUTOR_REQUEST_ACTIONS[action];
+      const request = await tutorRequestsCollection.findOneAndUpdate(
+        { _id: requestId, status: { $in: OPEN_TUTOR_REQUEST_STATUSES } },
+        {
+          $set: {
+            status,
+            reviewedBy: adminEmail,
+            reviewedAt: new Date(),
+            ...(status === "approved" && { approvedAt: new Date() }),
+            ...(status === "rejected" && {
+              rejectedAt: new Date(),
+              rejectionReason: note,
+            }),
+            ...(status === "info_requested" && { infoRequest: note }),
+          },
+          $push: {
+            reviewLog: { action: status, by: adminEmail, note, at: new Date() },
+          },
+        },
+        { returnDocument: "after" }
+      );
+      if (!request) return null;
+
+      const { email } = request;
+      if (status === "approved") {
+        await grantRole(email, "tutor");
+        await ensureTutorProfile(email);
+
+        // Documents were reviewed: show the verified badge
+        if (request.documents?.length) {
+          await tutorsCollection.updateOne(
+            { email },
+            {
+              $set: {
+                verified: true,
+                verifiedAt: new Date(),
+                verifiedBy: adminEmail,
+              },
+            }
+          );
+        }
+
+        await notify(email, {
+          type: "tutor_request_approved",
+          title: "You're now a tutor",
+          message: "Your request to become a tutor was approved.",
+          link: "/dashboard",
+        });
+        await queueEmail(email, "tutorApproved", { name: request.name });
+      } else if (status === "rejected") {
+        await notify(email, {
+          type: "tutor_request_rejected",
+          title: "Tutor request not approved",
+          message: note,
+          link: "/dashboard/become-tutor",
+          data: { requestId: request._id },
+        });
+      } else {
+        await notify(email, {
+          type: "tutor_request_info",
+          title: "More information needed",
+          message: note,
+          link: "/dashboard/become-tutor",
+          data: { requestId: request._id },
+        });
+      }
+
+      return request;
+    };
+
+    // Shared by the ID routes and the legacy email routes
+    const reviewTutorRequest = async (req, res, request, action) => {
+      const note = String(req.body?.reason || req.body?.note || "")
+        .trim()
+        .slice(0, 1000);
+      if (action !== "approve" && !note) {
+        return res.status(400).send({
+          message:
+            action === "reject"
+              ? "A reason is required"
+              : "Say what information is needed",
+        });
+      }
+      if (!request) {
+        return res.status(404).send({ message: "No open request found" });
+      }
+
+      const updated = await decideTutorRequest(
+        request._id,
+        action,
+        req.tokenEmail,
+        note
+      );
+      if (!updated) {
+        return res
+          .status(409)
+          .send({ message: "This request was already decided" });
+      }
+      await audit(
+        req,
+        `tutor_request.${action}`,
+        { type: "tutorRequest", id: request._id },
+        { before: request, after: updated }
+      );
+      res.send(withDocumentUrls(updated));
+    };
+
+    // ✅ Approve / reject ({ reason }) / request info ({ note }) by ID
+    app.patch(
+      "/tutor-requests/:id/:action",
+      verifyJWT,
+      requirePermission("tutors:review"),
+      async (req, res) => {
+        try {
+          const { id, action } = req.params;
+          if (!TUTOR_REQUEST_ACTIONS[action]) {
+            return res.status(404).send({ message: "Unknown action" });
+          }
+          if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: "Invalid request ID" });
+          }
+
+          const request = await tutorRequestsCollection.findOne({
+            _id: new ObjectId(id),
+          });
+          if (
+            request &&
+            !OPEN_TUTOR_REQUEST_STATUSES.includes(request.status)
+          ) {
+            return res
+              .status(409)
+              .send({ message: `This request is already ${request.status}` });
+          }
+
+          await reviewTutorRequest(req, res, request, action);
+        } catch (error) {
+          console.error("Error reviewing tutor request:", error);
+          res.status(500).send({ message: "Failed to update tutor request" });
+        }
+      }
+    );
+
+    // Legacy routes keyed by email; they act on the user's latest open
+    // request
+    const legacyTutorReview = (action) => async (req, res) => {
+      try {
+        const request = await tutorRequestsCollection.findOne(
+          {
+            email: req.body?.email,
+            status: { $in: OPEN_TUTOR_REQUEST_STATUSES },
+          },
+          { sort: { requestedAt: -1 } }
+        );
+        await reviewTutorRequest(req, res, request, action);
+      } catch (error) {
+        console.error("Error reviewing tutor request:", error);
+        res.status(500).send({ message: "Failed to update tutor request" });
+      }
+    };
+
+    // Approve tutor request
+    app.patch(
+      "/approve-tutor",
+      verifyJWT,
+      requirePermission("tutors:review"),
+      legacyTutorReview("approve")
+    );
+    app.patch(
+      "/reject-tutor",
+      verifyJWT,
+      requirePermission("tutors:review"),
+      legacyTutorReview("reject")
+    );
+    app.patch(
+      "/request-tutor-info",
+      verifyJWT,
+      requirePermission("tutors:review"),
+      legacyTutorReview("request-info")
+    );
+
+    // ✅ Get all tuitions (admin, ?deleted=true|all for deleted ones)
+    app.get(
+      "/admin/tuitions",
+      verifyJWT,
+      requirePermission("tuitions:moderate"),
+      async (req, res) => {
+        try {
+          const tuitions = await tuitionsCollection
+            .find(deletedFilter(req))
+            .sort({ createdAt: -1 })
+            .toArray();
+          res.send(tuitions);
+        } catch (error) {
+          console.error("Error fetching tuitions:", error);
+          res.status(500).send({ message: "Failed to fetch tuitions" });
+        }
+      }
+    );
+
+    // ✅ Approve tuition (admin)
+    app.patch(
+      "/admin/tuitions/:id/approve",
+      verifyJWT,
+      requirePermission("tuitions:moderate"),
+      async (req, res) => {
+        try {
+          const before = await tuitionsCollection.findOne({
+            _id: new ObjectId(req.params.id),
+          });
+          const result = await tuitionsCollection.updateOne(
+            { _id: new ObjectId(req.params.id), deletedAt: null },
+            { $set: { status: "approved", approvedAt: new Date() } }
+          );
+
+          // Alerts must never fail the approval itself
+          if (result.modifiedCount) {
+            const tuition = await tuitionsCollection.findOne({
+              _id: new ObjectId(req.params.id),
+            });
+            await audit(
+              req,
+              "tuition.approve",
+              { type: "tuition", id: req.params.id },
+              { before, after: tuition }
+            );
+            pushEvent(tuition.postedBy?.email, "tuition:moderated", {
+              tuitionId: req.params.id,
+              status: "approved",
+            });
+            await notify(tuition.postedBy?.email, {
+              type: "tuition_approved",
+              title: "Tuition approved",
+              message: `Your ${tuition.subject} tuition is now visible to tutors.`,
+              link: "/dashboard/my-tuitions",
+              data: { tuitionId: req.params.id },
+            });
+            await queueEmail(tuition.postedBy?.email, "tuitionApproved", {
+              name: tuition.postedBy?.name,
+              subject: tuition.subject,
+              className: tuition.class,
+            });
+            alertSavedSearches(tuition).catch((err) =>
+              console.error("Saved search alerts failed:", err)
+            );
+          }
+
+          res.send(result);
+        } catch (error) {
+          console.error("Error approving tuition:", error);
+          res.status(500).send({ message: "Failed to approve tuition" });
+        }
+      }
+    );
+
+    // ✅ Restore a deleted tuition with the applications hidden along with
+    // it (admin)
+    app.patch(
+      "/admin/tuitions/:id/restore",
+      verifyJWT,
+      requirePermission("tuitions:moderate"),
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).send({ message: "Invalid tuition ID" });
+          }
+          const before = await tuitionsCollection.findOne({
+            _id: new ObjectId(req.params.id),
+            deletedAt: { $ne: null },
+          });
+          if (!before) {
+            return res
+              .status(404)
+              .send({ message: "No deleted tuition with that ID" });
+          }
+
+          await tuitionsCollection.updateOne({ _id: before._id }, RESTORE);
+          const applications = await applicationsCollection.updateMany(
+            {
+              "deletedCascade.type": "tuition",
+              "deletedCascade.id": req.params.id,
+            },
+            RESTORE
+          );
+
+          await audit(
+            req,
+            "tuition.restore",
+            { type: "tuition", id: req.params.id },
+            {
+              before,
+              after: await tuitionsCollection.findOne({ _id: before._id }),
+              meta: { applicationsRestored: applications.modifiedCount },
+            }
+          );
+
+          res.send({
+            message: "Tuition restored",
+            applicationsRestored: applications.modifiedCount,
+          });
+        } catch (error) {
+          console.error("Error restoring tuition:", error);
+          res.status(500).send({ message: "Failed to restore tuition" });
+        }
+      }
+    );
+
+    // ✅ Applications for moderation (?deleted=true|all, ?tutor=email)
+    app.get(
+      "/admin/applications",
+      verifyJWT,
+      requirePermission("tuitions:moderate"),
+      async (req, res) => {
+        try {
+          const query = deletedFilter(req);
+          if (req.query.tutor) query.tutorEmail = req.query.tutor;
+
+          const applications = await applicationsCollection
+            .find(query)
+            .sort({ appliedAt: -1 })
+            .limit(500)
+            .toArray();
+          res.send(applications);
+        } catch (error) {
+          console.error("Error fetching applications:", error);
+          res.status(500).send({ message: "Failed to fetch applications" });
+        }
+      }
+    );
+
+    // ✅ Restore a deleted application (admin)
+    app.patch(
+      "/admin/applications/:id/restore",
+      verifyJWT,
+      requirePermission("tuitions:moderate"),
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).send({ message: "Invalid application ID" });
+          }
+          const before = await applicationsCollection.findOne({
+            _id: new ObjectId(req.params.id),
+            deletedAt: { $ne: null },
+          });
+          if (!before) {
+            return res
+              .status(404)
+              .send({ message: "No deleted application with that ID" });
+          }
+
+          // An application can't come back under a tuition that is gone
+          const tuition = await tuitionsCollection.findOne({
+            _id: new ObjectId(before.tuitionId),
+            deletedAt: null,
+          });
+          if (!tuition) {
+            return res
+              .status(409)
+              .send({ message: "Restore the tuition first" });
+          }
+
+          await applicationsCollection.updateOne({ _id: before._id }, RESTORE);
+          await audit(
+            req,
+            "application.restore",
+            { type: "application", id: req.params.id },
+            {
+              before,
+              after: await applicationsCollection.findOne({ _id: before._id }),
+            }
+          );
+
+          res.send({ message: "Application restored" });
+        } catch (error) {
+          console.error("Error restoring application:", error);
+          res.status(500).send({ message: "Failed to restore application" });
+        }
+      }
+    );
+
+    // ✅ Reject tuition (admin)
+    app.patch(
+      "/admin/tuitions/:id/reject",
+      verifyJWT,
+      requirePermission("tuitions:moderate"),
+      async (req, res) => {
+        try {
+          const before = await tuitionsCollection.findOne({
+            _id: new ObjectId(req.params.id),
+          });
+          const result = await tuitionsCollection.updateOne(
+            { _id: new ObjectId(req.params.id), deletedAt: null },
+            { $set: { status: "rejected", rejectedAt: new Date() } }
+          );
+
+          if (result.modifiedCount) {
+            const tuition = await tuitionsCollection.findOne({
+              _id: new ObjectId(req.params.id),
+            });
+            await audit(
+              req,
+              "tuition.reject",
+              { type: "tuition", id: req.params.id },
+              { before, after: tuition }
+            );
+            pushEvent(tuition.postedBy?.email, "tuition:moderated", {
+              tuitionId: req.params.id,
+              status: "rejected",
+            });
+            await notify(tuition.postedBy?.email, {
+              type: "tuition_rejected",
+              title: "Tuition rejected",
+              message: `Your ${tuition.subject} tuition was not approved.`,
+              link: "/dashboard/my-tuitions",
+              data: { tuitionId: req.params.id },
+            });
+          }
+
+          res.send(result);
+        } catch (error) {
+          console.error("Error rejecting tuition:", error);
+          res.status(500).send({ message: "Failed to reject tuition" });
+        }
+      }
+    );
+
+    // ✅ Get platform statistics (admin) - WITH COMMISSION
+    app.get(
+      "/admin/statistics",
+      verifyJWT,
+      requirePermission("finance:read"),
+      async (req, res) => {
+        try {
+          const live = { deletedAt: null };
+          const totalUsers = await usersCollection.countDocuments(live);
+          const totalTuitions = await tuitionsCollection.countDocuments(live);
+          const totalApplications =
+            await applicationsCollection.countDocuments(live);
+
+          // Calculate total revenue and platform commission
+          const revenueData = await ordersCollection
+            .aggregate([
+              {
+                $group: {
+                  _id: null,
+                  totalRevenue: { $sum: "$totalAmount" },
+                  platformRevenue: { $sum: "$platformCommission" },
+                  tutorRevenue: { $sum: "$tutorAmount" },
+                  refundedAmount: { $sum: "$refundedAmount" },
+                  platformRefunded: { $sum: "$platformCommissionRefunded" },
+                  tutorRefunded: { $sum: "$tutorAmountRefunded" },
+                },
+              },
+            ])
+            .toArray();
+
+          // Multi-role users count once per role; legacy docs only
+          // have the single role string
+          const countRole = (role) =>
+            usersCollection.countDocuments({
+              ...live,
+              $or: [
+                { roles: role },
+                {
+                  roles: { $exists: false },
+                  role: { $regex: new RegExp(`^${role}$`, "i") },
+                },
+              ],
+            });
+          const [students, tutors, moderators, admins] = await Promise.all(
+            ["student", "tutor", "moderator", "admin"].map(countRole)
+          );
+
+          const pendingTuitions = await tuitionsCollection.countDocuments({
+            status: "pending",
+            ...live,
+          });
+          const approvedTuitions = await tuitionsCollection.countDocuments({
+            status: "approved",
+            ...live,
+          });
+          const hiredTuitions = await tuitionsCollection.countDocuments({
+            status: "hired",
+            ...live,
+          });
+
+          const revenueByRule = await getRevenueByRule();
+
+          res.send({
+            totalUsers,
+            totalTuitions,
+            totalApplications,
+            // Refunds and lost chargebacks are netted out
+            totalRevenue:
+              (revenueData[0]?.totalRevenue || 0) -
+              (revenueData[0]?.refundedAmount || 0),
+            platformRevenue:
+              (revenueData[0]?.platformRevenue || 0) -
+              (revenueData[0]?.platformRefunded || 0),
+            tutorRevenue:
+              (revenueData[0]?.tutorRevenue || 0) -
+              (revenueData[0]?.tutorRefunded || 0),
+            refundedAmount: revenueData[0]?.refundedAmount || 0,
+            revenueByRule,
+            usersByRole: { students, tutors, moderators, admins },
+            tuitionsByStatus: {
+              pendingTuitions,
+              approvedTuitions,
+              hiredTuitions,
+            },
+          });
+        } catch (error) {
+          console.error("Error fetching statistics:", error);
+          res.status(500).send({ message: "Failed to fetch statistics" });
+        }
+      }
+    );
+
+    // Populate orders with their tuition, student and tutor (one query per
+    // collection for the whole batch) and map the old order structure (no
+    // applicationId, customer/price fields) onto the current one
+    const normalizeTransactions = async (transactions) => {
+      const tuitionIds = [
+        ...new Set(
+          transactions
+            .map((t) => String(t.tuitionId))
+            .filter((id) => ObjectId.isValid(id))
+        ),
+      ];
+      const emails = [
+        ...new Set(
+          transactions
+            .flatMap((t) =>
+              t.applicationId ? [t.studentEmail, t.tutorEmail] : [t.customer]
+            )
+            .filter(Boolean)
+        ),
+      ];
+
+      const [tuitions, users] = await Promise.all([
+        tuitionsCollection
+          .find({ _id: { $in: tuitionIds.map((id) => new ObjectId(id)) } })
+          .toArray(),
+        usersCollection.find({ email: { $in: emails } }).toArray(),
+      ]);
+      const tuitionById = new Map(tuitions.map((t) => [t._id.toString(), t]));
+      const userByEmail = new Map(users.map((u) => [u.email, u]));
+
+      return transactions.map((transaction) => {
+        const tuition = tuitionById.get(String(transaction.tuitionId)) || null;
+
+        // Check if this is new structure (has applicationId)
+        if (transaction.applicationId) {
+          return {
+            ...transaction,
+            tuition,
+            student: userByEmail.get(transaction.studentEmail) || null,
+            tutor: userByEmail.get(transaction.tutorEmail) || null,
+            // Normalize the amount field
+            amount: transaction.amount || 0,
+            commissionRule:
+              transaction.commissionRule || LEGACY_COMMISSION_RULE,
+          };
+        }
+
+        // Old structure - convert to new format
+        return {
+          ...transaction,
+          // Map old fields to new fields
+          studentEmail: transaction.customer,
+          tutorEmail: null,
+          amount: transaction.price || 0,
+          status: transaction.status === "pending" ? "pending" : "completed",
+          paidAt: transaction.createdAt,
+          tuition: tuition || {
+            subject: transaction.subject,
+            class: transaction.className,
+          },
+          student: userByEmail.get(transaction.customer) || null,
+          tutor: null,
+          commissionRule: LEGACY_COMMISSION_RULE,
+        };
+      });
+    };
+
+    // Filter out old pending transactions or include based on your need
+    const isValidTransaction = (t) => t.status === "completed" || t.amount > 0;
+
+    // ✅ Get all transactions (admin) - UPDATED to handle old structure
+    app.get(
+      "/admin/transactions",
+      verifyJWT,
+      requirePermission("finance:read"),
+      async (req, res) => {
+        try {
+          const transactions = await ordersCollection
+            .find()
+            .sort({ paidAt: -1, createdAt: -1 })
+            .toArray();
+
+          const populatedTransactions =
+            await normalizeTransactions(transactions);
+
+          const validTransactions =
+            populatedTransactions.filter(isValidTransaction);
+
+          // ?breakdown=rule adds revenue totals per commission rule
+          if (req.query.breakdown === "rule") {
+            const revenueByRule = await getRevenueByRule();
+            return res.send({ transactions: validTransactions, revenueByRule });
+          }
+
+          res.send(validTransactions);
+        } catch (error) {
+          console.error("Error fetching transactions:", error);
+          res.status(500).send({ message: "Failed to fetch transactions" });
+        }
+      }
+    );
+
+    // ✅ Refund an order, fully or partially (admin)
+    app.post(
+      "/admin/orders/:id/refund",
+      verifyJWT,
+      requirePermission("finance:refund"),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: "Invalid order ID" });
+          }
+
+          const order = await ordersCollection.findOne({
+            _id: new ObjectId(id),
+          });
+          if (!order) {
+            return res.status(404).send({ message: "Order not found" });
+          }
+
+          if (!["completed", "partially_refunded"].includes(order.status)) {
+            return res
+              .status(400)
+              .send({ message: `Cannot refund a ${order.status} order` });
+          }
+
+          const paymentIntent = await getOrderPaymentIntent(order);
+          if (!paymentIntent) {
+            return res
+              .status(400)
+              .send({ message: "Order has no Stripe payment to refund" });
+          }
+
+          const remaining = roundMoney(
+            (order.totalAmount || order.amount || 0) -
+              (order.refundedAmount || 0)
+          );
+          const amount =
+            req.body.amount !== undefined
+              ? roundMoney(parseFloat(req.body.amount))
+              : remaining;
+
+          if (!(amount > 0) || amount > remaining) {
+            return res.status(400).send({
+              message: `Refund amount must be between 0 and ${remaining}`,
+            });
+          }
+
+          // Hold the amount on the order while Stripe is called, so two
+          // admins refunding at once can't refund more than was paid
+          const total = order.totalAmount || order.amount || 0;
+          const reserved = await ordersCollection.updateOne(
+            {
+              _id: order._id,
+              $expr: {
+                $lte: [
+                  {
+                    $add: [
+                      { $ifNull: ["$refundedAmount", 0] },
+                      { $ifNull: ["$refundPending", 0] },
+                      amount,
+                    ],
+                  },
+                  total + 0.005,
+                ],
+              },
+            },
+            { $inc: { refundPending: amount } }
+          );
+          if (!reserved.modifiedCount) {
+            return res.status(409).send({
+              message: "Order was refunded meanwhile, reload and try again",
+            });
+          }
+
+          let refund;
+          try {
+            refund = await stripe.refunds.create({
+              payment_intent: paymentIntent,
+              amount: Math.round(amount * 100),
+              metadata: {
+                orderId: id,
+                refundedBy: req.tokenEmail,
+                note: req.body.reason || "",
+              },
+            });
+
+            await applyRefund(order, {
+              refundId: refund.id,
+              amount: refund.amount / 100,
+              reason: req.body.reason,
+              refundedBy: req.tokenEmail,
+            });
+          } finally {
+            await ordersCollection.updateOne(
+              { _id: order._id },
+              { $inc: { refundPending: -amount } }
+            );
+          }
+
+          const updatedOrder = await ordersCollection.findOne({
+            _id: order._id,
+          });
+          await audit(
+            req,
+            "order.refund",
+            { type: "order", id },
+            {
+              before: order,
+              after: updatedOrder,
+              meta: { refundId: refund.id, amount: refund.amount / 100 },
+            }
+          );
+
+          res.send({ message: "Refund issued", order: updatedOrder });
+        } catch (error) {
+          console.error("Error refunding order:", error);
+          res.status(500).send({ message: "Failed to refund order" });
+        }
+      }
+    );
+
+    // ✅ Get orders with chargebacks (admin)
+    app.get(
+      "/admin/disputes",
+      verifyJWT,
+      requirePermission("finance:read"),
+      async (req, res) => {
+        try {
+          const orders = await ordersCollection
+            .find({ dispute: { $exists: true } })
+            .sort({ "dispute.updatedAt": -1 })
+            .toArray();
+          res.send(orders);
+        } catch (error) {
+          console.error("Error fetching disputes:", error);
+          res.status(500).send({ message: "Failed to fetch disputes" });
+        }
+      }
+    );
+
+    /* ================= FINANCIAL EXPORTS (ADMIN) ================= */
+
+    // Names and emails are user input; a leading =, +, -, @, tab or CR would
+    // make Excel evaluate the cell as a formula
+    const neutralizeFormula = (value) =>
+      typeof value === "string" && /^[=+\-@\t\r]/.test(value)
+        ? `'${value}`
+        : value;
+
+    const csvCell = (value) => {
+      if (value === null || value === undefined) return "";
+      const text =
+        value instanceof Date
+          ? value.toISOString()
+          : String(neutralizeFormula(value));
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    // Write rows to the response one at a time so large histories are never
+    // held in memory. rows is an async iterable of plain objects.
+    const streamExport = async (res, { format, filename, columns, rows }) => {
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}.${format}"`
+      );
+
+      if (format === "xlsx") {
+        res.setHeader(
+          "Content-Type",
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        );
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+          stream: res,
         });
+        const sheet = workbook.addWorksheet(filename);
+        sheet.columns = columns.map(({ header, key }) => ({
+          header,
+          key,
+          width: 20,
+        }));
+        for await (const row of rows) {
+          const cells = {};
+          for (const [key, value] of Object.entries(row)) {
+            cells[key] = neutralizeFormula(value);
+          }
+          sheet.addRow(cells).commit();
+        }
+        sheet.commit();
+        await workbook.commit();
+        return;
+      }
 
-        res.send(result);
-      } catch (error) {
-        console.error("Error creating tutor request:", error);
-        res.status(500).send({ message: "Failed to create request" });
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.write(columns.map(({ header }) => csvCell(header)).join(",") + "\n");
+      for await (const row of rows) {
+        const line =
+          columns.map(({ key }) => csvCell(row[key])).join(",") + "\n";
+        if (!res.write(line)) await once(res, "drain");
       }
-    });
+      res.end();
+    };
 
-    /* ================= ADMIN ENDPOINTS ================= */
+    // Build the Mongo query for order based exports. Old-structure orders
+    // keep the student in `customer` and the date in `createdAt`.
+    const exportOrderQuery = ({ from, to, tutor, student }) => {
+      const and = [];
+      if (from || to) {
+        const range = {};
+        if (from) range.$gte = new Date(from);
+        if (to) range.$lt = dateRangeEnd(to);
+        and.push({ $or: [{ paidAt: range }, { createdAt: range }] });
+      }
+      if (tutor) and.push({ tutorEmail: tutor });
+      if (student) {
+        and.push({ $or: [{ studentEmail: student }, { customer: student }] });
+      }
+      return and.length ? { $and: and } : {};
+    };
 
-    // Get tutor requests
-    app.get("/tutor-requests", verifyJWT, verifyADMIN, async (req, res) => {
-      try {
-        const result = await tutorRequestsCollection
-          .find({ status: "pending" })
-          .toArray();
+    // Orders normalized exactly like /admin/transactions, populated a page
+    // at a time
+    const EXPORT_BATCH_SIZE = 500;
+    async function* normalizedOrders(filters) {
+      const cursor = ordersCollection
+        .find(exportOrderQuery(filters))
+        .sort({ paidAt: -1, createdAt: -1 })
+        .batchSize(EXPORT_BATCH_SIZE);
+
+      let batch = [];
+      const flush = async function* () {
+        for (const t of await normalizeTransactions(batch)) {
+          if (!isValidTransaction(t)) continue;
+          if (filters.status && t.status !== filters.status) continue;
+          yield t;
+        }
+        batch = [];
+      };
 
-        console.log(`Found ${result.length} pending tutor requests`);
-        res.send(result);
-      } catch (error) {
-        console.error("Error fetching tutor requests:", error);
-        res.status(500).send({ message: "Server error" });
+      for await (const order of cursor) {
+        batch.push(order);
+        if (batch.length === EXPORT_BATCH_SIZE) yield* flush();
       }
-    });
+      yield* flush();
+    }
+
+    async function* transactionExportRows(filters) {
+      for await (const t of normalizedOrders(filters)) {
+        yield {
+          paidAt: t.paidAt,
+          invoiceNumber: t.invoiceNumber,
+          transactionId: t.transactionId,
+          type: t.type || "hire",
+          studentEmail: t.studentEmail,
+          tutorEmail: t.tutorEmail,
+          subject: t.tuition?.subject,
+          class: t.tuition?.class,
+          amount: t.totalAmount ?? t.amount,
+          platformCommission: t.platformCommission,
+          tutorAmount: t.tutorAmount,
+          refundedAmount: t.refundedAmount || 0,
+          commissionRule: t.commissionRule.name,
+          status: t.status,
+        };
+      }
+    }
+
+    async function* commissionExportRows(filters) {
+      for await (const t of normalizedOrders(filters)) {
+        const rule = t.commissionRule;
+        const platformCommission = t.platformCommission || 0;
+        const reversed = t.platformCommissionRefunded || 0;
+
+        yield {
+          paidAt: t.paidAt,
+          invoiceNumber: t.invoiceNumber,
+          transactionId: t.transactionId,
+          tutorEmail: t.tutorEmail,
+          amount: t.totalAmount ?? t.amount,
+          commissionRule: rule.name,
+          ruleType: rule.type,
+          rate: rule.rate,
+          fixedFee: rule.fixedFee,
+          minFee: rule.minFee,
+          platformCommission,
+          platformCommissionRefunded: reversed,
+          netCommission: roundMoney(platformCommission - reversed),
+          status: t.status,
+        };
+      }
+    }
+
+    async function* payoutExportRows({ from, to, tutor, status }) {
+      const query = {};
+      if (from || to) {
+        query.requestedAt = {};
+        if (from) query.requestedAt.$gte = new Date(from);
+        if (to) query.requestedAt.$lt = dateRangeEnd(to);
+      }
+      if (tutor) query.tutorEmail = tutor;
+      if (status) query.status = status;
+
+      const cursor = withdrawalsCollection
+        .find(query)
+        .sort({ requestedAt: -1 });
+      for await (const withdrawal of cursor) {
+        yield {
+          requestedAt: withdrawal.requestedAt,
+          tutorEmail: withdrawal.tutorEmail,
+          amount: withdrawal.amount,
+          method: withdrawal.method,
+          accountName: withdrawal.account?.accountName,
+          accountNumber: withdrawal.account?.accountNumber,
+          bankName: withdrawal.account?.bankName,
+          status: withdrawal.status,
+          reference: withdrawal.reference,
+          paidAt: withdrawal.paidAt,
+          processedBy: withdrawal.processedBy,
+        };
+      }
+    }
+
+    async function* refundExportRows({ from, to, tutor, student, status }) {
+      const query = { "refunds.0": { $exists: true } };
+      if (tutor) query.tutorEmail = tutor;
+      if (student) query.studentEmail = student;
+      if (status) query.status = status;
+
+      const cursor = ordersCollection.find(query).sort({ refundedAt: -1 });
+      for await (const order of cursor) {
+        for (const refund of order.refunds) {
+          if (from && refund.createdAt < new Date(from)) continue;
+          if (to && refund.createdAt >= dateRangeEnd(to)) continue;
+
+          yield {
+            refundedAt: refund.createdAt,
+            refundId: refund.refundId,
+            invoiceNumber: order.invoiceNumber,
+            transactionId: order.transactionId,
+            studentEmail: order.studentEmail,
+            tutorEmail: order.tutorEmail,
+            amount: refund.amount,
+            platformCommissionReversed: refund.platformCommissionReversed,
+            tutorAmountReversed: refund.tutorAmountReversed,
+            reason: refund.reason,
+            refundedBy: refund.refundedBy,
+            orderStatus: order.status,
+          };
+        }
+      }
+    }
+
+    const columnsFor = (keys) =>
+      keys.map((key) => ({
+        key,
+        header: key
+          .replace(/([A-Z])/g, " $1")
+          .replace(/^./, (c) => c.toUpperCase()),
+      }));
+
+    const EXPORTS = {
+      transactions: {
+        rows: transactionExportRows,
+        columns: columnsFor([
+          "paidAt",
+          "invoiceNumber",
+          "transactionId",
+          "type",
+          "studentEmail",
+          "tutorEmail",
+          "subject",
+          "class",
+          "amount",
+          "platformCommission",
+          "tutorAmount",
+          "refundedAmount",
+          "commissionRule",
+          "status",
+        ]),
+      },
+      commission: {
+        rows: commissionExportRows,
+        columns: columnsFor([
+          "paidAt",
+          "invoiceNumber",
+          "transactionId",
+          "tutorEmail",
+          "amount",
+          "commissionRule",
+          "ruleType",
+          "rate",
+          "fixedFee",
+          "minFee",
+          "platformCommission",
+          "platformCommissionRefunded",
+          "netCommission",
+          "status",
+        ]),
+      },
+      payouts: {
+        rows: payoutExportRows,
+        columns: columnsFor([
+          "requestedAt",
+          "tutorEmail",
+          "amount",
+          "method",
+          "accountName",
+          "accountNumber",
+          "bankName",
+          "status",
+          "reference",
+          "paidAt",
+          "processedBy",
+        ]),
+      },
+      refunds: {
+        rows: refundExportRows,
+        columns: columnsFor([
+          "refundedAt",
+          "refundId",
+          "invoiceNumber",
+          "transactionId",
+          "studentEmail",
+          "tutorEmail",
+          "amount",
+          "platformCommissionReversed",
+          "tutorAmountReversed",
+          "reason",
+          "refundedBy",
+          "orderStatus",
+        ]),
+      },
+    };
 
-    // Approve tutor request
-    app.patch("/approve-tutor", verifyJWT, verifyADMIN, async (req, res) => {
-      try {
-        const { email } = req.body;
+    // ✅ Download financial export (admin)
+    // /admin/exports/transactions?format=csv&from=2026-01-01&to=2026-01-31
+    app.get(
+      "/admin/exports/:type",
+      verifyJWT,
+      requirePermission("finance:read"),
+      async (req, res) => {
+        const exporter = EXPORTS[req.params.type];
+        if (!exporter) {
+          return res.status(400).send({
+            message: `Export type must be one of ${Object.keys(EXPORTS).join(", ")}`,
+          });
+        }
 
-        await usersCollection.updateOne({ email }, { $set: { role: "tutor" } });
+        const format = req.query.format || "csv";
+        if (!["csv", "xlsx"].includes(format)) {
+          return res
+            .status(400)
+            .send({ message: "Format must be csv or xlsx" });
+        }
 
-        await tutorRequestsCollection.updateOne(
-          { email },
-          { $set: { status: "approved", approvedAt: new Date() } }
-        );
+        const { from, to, tutor, student, status } = req.query;
+        if ([from, to].some((date) => date && isNaN(new Date(date)))) {
+          return res.status(400).send({ message: "Invalid date range" });
+        }
 
-        res.send({ message: "Tutor approved successfully" });
-      } catch (error) {
-        console.error("Error approving tutor:", error);
-        res.status(500).send({ message: "Failed to approve tutor" });
+        try {
+          await streamExport(res, {
+            format,
+            filename: `${req.params.type}-${new Date().toISOString().slice(0, 10)}`,
+            columns: exporter.columns,
+            rows: exporter.rows({ from, to, tutor, student, status }),
+          });
+        } catch (error) {
+          console.error("Error exporting data:", error);
+          // Headers are gone once streaming started; just cut the response
+          if (res.headersSent) return res.destroy(error);
+          res.status(500).send({ message: "Failed to export data" });
+        }
       }
-    });
+    );
 
-    // ✅ Get all tuitions (admin)
-    app.get("/admin/tuitions", verifyJWT, verifyADMIN, async (req, res) => {
-      try {
-        const tuitions = await tuitionsCollection
-          .find()
-          .sort({ createdAt: -1 })
-          .toArray();
-        res.send(tuitions);
-      } catch (error) {
-        console.error("Error fetching tuitions:", error);
-        res.status(500).send({ message: "Failed to fetch tuitions" });
+    /* ================= COMMISSION RULES (ADMIN) ================= */
+
+    const COMMISSION_RULE_TYPES = [
+      "default",
+      "subject",
+      "class",
+      "subject_class",
+      "promo",
+    ];
+
+    // Validate a commission rule body; returns { rule } or { message }
+    const parseCommissionRule = (body) => {
+      const { name, type, subject, class: className } = body;
+      const toNumber = (value) =>
+        value === undefined || value === null || value === ""
+          ? null
+          : Number(value);
+
+      const rate = toNumber(body.rate);
+      const fixedFee = toNumber(body.fixedFee);
+      const minFee = toNumber(body.minFee);
+      const firstNHires = toNumber(body.firstNHires);
+
+      if (!name) return { message: "Rule name is required" };
+      if (!COMMISSION_RULE_TYPES.includes(type)) {
+        return {
+          message: `Type must be one of ${COMMISSION_RULE_TYPES.join(", ")}`,
+        };
+      }
+      if (rate === null && fixedFee === null) {
+        return { message: "Either rate or fixedFee is required" };
+      }
+      if (rate !== null && !(rate >= 0 && rate <= 1)) {
+        return { message: "Rate must be a fraction between 0 and 1" };
+      }
+      if ([fixedFee, minFee].some((fee) => fee !== null && !(fee >= 0))) {
+        return { message: "Fees must be non-negative numbers" };
+      }
+      if (["subject", "subject_class"].includes(type) && !subject) {
+        return { message: "Subject is required for this rule type" };
+      }
+      if (["class", "subject_class"].includes(type) && !className) {
+        return { message: "Class is required for this rule type" };
+      }
+      if (
+        type === "promo" &&
+        !(Number.isInteger(firstNHires) && firstNHires > 0)
+      ) {
+        return { message: "firstNHires must be a positive whole number" };
       }
-    });
 
-    // ✅ Approve tuition (admin)
-    app.patch(
-      "/admin/tuitions/:id/approve",
+      return {
+        rule: {
+          name,
+          type,
+          subject: ["subject", "subject_class"].includes(type) ? subject : null,
+          class: ["class", "subject_class"].includes(type) ? className : null,
+          rate,
+          fixedFee,
+          minFee,
+          firstNHires: type === "promo" ? firstNHires : null,
+          active: body.active !== false,
+        },
+      };
+    };
+
+    // ✅ Get commission rules (admin)
+    app.get(
+      "/admin/commission-rules",
       verifyJWT,
-      verifyADMIN,
+      requirePermission("finance:read"),
       async (req, res) => {
         try {
-          const result = await tuitionsCollection.updateOne(
-            { _id: new ObjectId(req.params.id) },
-            { $set: { status: "approved", approvedAt: new Date() } }
-          );
-          res.send(result);
+          const rules = await commissionRulesCollection
+            .find()
+            .sort({ createdAt: -1 })
+            .toArray();
+          res.send({ rules, fallback: FALLBACK_COMMISSION_RULE });
         } catch (error) {
-          console.error("Error approving tuition:", error);
-          res.status(500).send({ message: "Failed to approve tuition" });
+          console.error("Error fetching commission rules:", error);
+          res.status(500).send({ message: "Failed to fetch commission rules" });
         }
       }
     );
 
-    // ✅ Reject tuition (admin)
-    app.patch(
-      "/admin/tuitions/:id/reject",
+    // ✅ Create commission rule (admin)
+    app.post(
+      "/admin/commission-rules",
       verifyJWT,
-      verifyADMIN,
+      requirePermission("finance:manage"),
       async (req, res) => {
         try {
-          const result = await tuitionsCollection.updateOne(
-            { _id: new ObjectId(req.params.id) },
-            { $set: { status: "rejected", rejectedAt: new Date() } }
+          const { rule, message } = parseCommissionRule(req.body);
+          if (!rule) return res.status(400).send({ message });
+
+          const doc = {
+            ...rule,
+            createdBy: req.tokenEmail,
+            createdAt: new Date(),
+          };
+          const result = await commissionRulesCollection.insertOne(doc);
+          await audit(
+            req,
+            "commission_rule.create",
+            { type: "commissionRule", id: result.insertedId },
+            { after: doc }
           );
           res.send(result);
         } catch (error) {
-          console.error("Error rejecting tuition:", error);
-          res.status(500).send({ message: "Failed to reject tuition" });
+          console.error("Error creating commission rule:", error);
+          res.status(500).send({ message: "Failed to create commission rule" });
         }
       }
     );
 
-    // ✅ Get platform statistics (admin) - WITH COMMISSION
-    app.get("/admin/statistics", verifyJWT, verifyADMIN, async (req, res) => {
-      try {
-        const totalUsers = await usersCollection.countDocuments();
-        const totalTuitions = await tuitionsCollection.countDocuments();
-        const totalApplications = await applicationsCollection.countDocuments();
+    // ✅ Update commission rule (admin)
+    // Orders keep a copy of the rule they used, so edits only affect new orders
+    app.patch(
+      "/admin/commission-rules/:id",
+      verifyJWT,
+      requirePermission("finance:manage"),
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).send({ message: "Invalid rule ID" });
+          }
 
-        // Calculate total revenue and platform commission
-        const revenueData = await ordersCollection
-          .aggregate([
+          const existing = await commissionRulesCollection.findOne({
+            _id: new ObjectId(req.params.id),
+          });
+          if (!existing) {
+            return res.status(404).send({ message: "Rule not found" });
+          }
+
+          const { rule, message } = parseCommissionRule({
+            ...existing,
+            ...req.body,
+          });
+          if (!rule) return res.status(400).send({ message });
+
+          const result = await commissionRulesCollection.updateOne(
+            { _id: existing._id },
             {
-              $group: {
-                _id: null,
-                totalRevenue: { $sum: "$totalAmount" },
-                platformRevenue: { $sum: "$platformCommission" },
-                tutorRevenue: { $sum: "$tutorAmount" },
+              $set: {
+                ...rule,
+                updatedBy: req.tokenEmail,
+                updatedAt: new Date(),
               },
-            },
-          ])
-          .toArray();
-
-        const students = await usersCollection.countDocuments({
-          role: { $regex: /^student$/i },
-        });
-        const tutors = await usersCollection.countDocuments({
-          role: { $regex: /^tutor$/i },
-        });
-        const admins = await usersCollection.countDocuments({
-          role: { $regex: /^admin$/i },
-        });
+            }
+          );
+          await audit(
+            req,
+            "commission_rule.update",
+            { type: "commissionRule", id: existing._id },
+            {
+              before: existing,
+              after: await commissionRulesCollection.findOne({
+                _id: existing._id,
+              }),
+            }
+          );
+          res.send(result);
+        } catch (error) {
+          console.error("Error updating commission rule:", error);
+          res.status(500).send({ message: "Failed to update commission rule" });
+        }
+      }
+    );
 
-        const pendingTuitions = await tuitionsCollection.countDocuments({
-          status: "pending",
-        });
-        const approvedTuitions = await tuitionsCollection.countDocuments({
-          status: "approved",
-        });
-        const hiredTuitions = await tuitionsCollection.countDocuments({
-          status: "hired",
-        });
+    // ✅ Delete commission rule (admin)
+    app.delete(
+      "/admin/commission-rules/:id",
+      verifyJWT,
+      requirePermission("finance:manage"),
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).send({ message: "Invalid rule ID" });
+          }
 
-        res.send({
-          totalUsers,
-          totalTuitions,
-          totalApplications,
-          totalRevenue: revenueData[0]?.totalRevenue || 0,
-          platformRevenue: revenueData[0]?.platformRevenue || 0,
-          tutorRevenue: revenueData[0]?.tutorRevenue || 0,
-          usersByRole: { students, tutors, admins },
-          tuitionsByStatus: {
-            pendingTuitions,
-            approvedTuitions,
-            hiredTuitions,
-          },
-        });
-      } catch (error) {
-        console.error("Error fetching statistics:", error);
-        res.status(500).send({ message: "Failed to fetch statistics" });
+          const before = await commissionRulesCollection.findOne({
+            _id: new ObjectId(req.params.id),
+          });
+          const result = await commissionRulesCollection.deleteOne({
+            _id: new ObjectId(req.params.id),
+          });
+          if (result.deletedCount) {
+            await audit(
+              req,
+              "commission_rule.delete",
+              { type: "commissionRule", id: req.params.id },
+              { before }
+            );
+          }
+          res.send(result);
+        } catch (error) {
+          console.error("Error deleting commission rule:", error);
+          res.status(500).send({ message: "Failed to delete commission rule" });
+        }
       }
-    });
+    );
 
-    // ✅ Get all transactions (admin) - UPDATED to handle old structure
-    app.get("/admin/transactions", verifyJWT, verifyADMIN, async (req, res) => {
-      try {
-        const transactions = await ordersCollection
-          .find()
-          .sort({ paidAt: -1, createdAt: -1 })
-          .toArray();
+    /* ================= AUDIT LOG (ADMIN) ================= */
 
-        const populatedTransactions = await Promise.all(
-          transactions.map(async (transaction) => {
-            // Check if this is new structure (has applicationId)
-            if (transaction.applicationId) {
-              const tuition = await tuitionsCollection.findOne({
-                _id: new ObjectId(transaction.tuitionId),
-              });
-              const student = await usersCollection.findOne({
-                email: transaction.studentEmail,
-              });
-              const tutor = await usersCollection.findOne({
-                email: transaction.tutorEmail,
-              });
-              return {
-                ...transaction,
-                tuition,
-                student,
-                tutor,
-                // Normalize the amount field
-                amount: transaction.amount || 0,
-              };
+    // ✅ Query the audit log (?actor, ?action, ?targetType, ?targetId,
+    // ?from, ?to, ?page, ?limit)
+    app.get(
+      "/admin/audit-log",
+      verifyJWT,
+      requirePermission("audit:read"),
+      async (req, res) => {
+        try {
+          const { actor, action, targetType, targetId, from, to } = req.query;
+          const query = {};
+          if (actor) query.actor = actor;
+          if (action) query.action = action;
+          if (targetType) query["target.type"] = targetType;
+          if (targetId) query["target.id"] = targetId;
+          if (from || to) {
+            query.at = {};
+            if (from) query.at.$gte = new Date(from);
+            if (to) query.at.$lt = dateRangeEnd(to);
+            if (Object.values(query.at).some((d) => isNaN(d))) {
+              return res.status(400).send({ message: "Invalid date" });
             }
-            // Old structure - convert to new format
-            else {
-              const tuition = await tuitionsCollection.findOne({
-                _id: new ObjectId(transaction.tuitionId),
-              });
-              const student = await usersCollection.findOne({
-                email: transaction.customer,
-              });
+          }
 
-              return {
-                ...transaction,
-                // Map old fields to new fields
-                studentEmail: transaction.customer,
-                tutorEmail: null,
-                amount: transaction.price || 0,
-                status:
-                  transaction.status === "pending" ? "pending" : "completed",
-                paidAt: transaction.createdAt,
-                tuition: tuition || {
-                  subject: transaction.subject,
-                  class: transaction.className,
-                },
-                student,
-                tutor: null,
-              };
-            }
-          })
-        );
+          const page = Math.max(parseInt(req.query.page) || 1, 1);
+          const limit = Math.min(parseInt(req.query.limit) || 50, 200);
 
-        // Filter out old pending transactions or include based on your need
-        const validTransactions = populatedTransactions.filter(
-          (t) => t.status === "completed" || t.amount > 0
-        );
+          const [entries, total] = await Promise.all([
+            auditLogCollection
+              .find(query)
+              .sort({ at: -1 })
+              .skip((page - 1) * limit)
+              .limit(limit)
+              .toArray(),
+            auditLogCollection.countDocuments(query),
+          ]);
 
-        res.send(validTransactions);
-      } catch (error) {
-        console.error("Error fetching transactions:", error);
-        res.status(500).send({ message: "Failed to fetch transactions" });
+          res.send({
+            entries,
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalEntries: total,
+          });
+        } catch (error) {
+          console.error("Error fetching audit log:", error);
+          res.status(500).send({ message: "Failed to fetch audit log" });
+        }
       }
-    });
+    );
 
     /* ================= CONTACT FORM ================= */
 
@@ -1222,26 +8345,31 @@ async function run() {
     /* ================= DATABASE FIX ENDPOINTS (ADMIN ONLY) ================= */
 
     // ✅ Clean up old transaction structure (ADMIN ONLY)
+    // ?dryRun=true previews the orders that would be deleted
     app.post(
       "/admin/cleanup-old-transactions",
       verifyJWT,
-      verifyADMIN,
+      requirePermission("system:manage"),
       async (req, res) => {
         try {
           console.log("🧹 Starting cleanup of old transaction structure...");
 
-          // Find old structure transactions (those without applicationId)
-          const oldTransactions = await ordersCollection
-            .find({
-              applicationId: { $exists: false },
-              status: "pending", // Only delete pending old ones
-            })
-            .toArray();
+          // Old structure transactions (those without applicationId);
+          // only pending ones are deleted
+          const filter = {
+            applicationId: { $exists: false },
+            status: "pending",
+          };
+          const oldTransactions = await ordersCollection.find(filter).toArray();
 
           console.log(
             `Found ${oldTransactions.length} old pending transactions`
           );
 
+          if (isDryRun(req)) {
+            return res.send(dryRunPreview(oldTransactions));
+          }
+
           if (oldTransactions.length === 0) {
             return res.send({
               message: "No old pending transactions found",
@@ -1249,13 +8377,23 @@ async function run() {
             });
           }
 
-          // Delete old pending transactions
+          // Delete exactly the previewed documents
           const result = await ordersCollection.deleteMany({
-            applicationId: { $exists: false },
-            status: "pending",
+            ...filter,
+            _id: { $in: oldTransactions.map((t) => t._id) },
           });
 
           console.log(`🗑️ Deleted ${result.deletedCount} old transactions`);
+          await audit(
+            req,
+            "orders.cleanup_old",
+            { type: "order", id: "bulk" },
+            {
+              before: oldTransactions,
+              filter,
+              meta: { deleted: result.deletedCount },
+            }
+          );
 
           res.send({
             message: `Cleaned up ${result.deletedCount} old pending transactions`,
@@ -1268,25 +8406,109 @@ async function run() {
       }
     );
 
+    // ✅ Renumber invoices in payment order (ADMIN ONLY)
+    // One-off migration for orders numbered lazily on first receipt download.
+    // Every paid order gets a gapless number by paidAt and the counter moves
+    // past the last one. Run it while no payments are coming in.
+    // ?dryRun=true previews the orders whose number would change
+    app.post(
+      "/admin/backfill-invoice-numbers",
+      verifyJWT,
+      requirePermission("system:manage"),
+      async (req, res) => {
+        try {
+          const orders = await ordersCollection
+            .find(
+              { paidAt: { $exists: true } },
+              { projection: { paidAt: 1, invoiceNumber: 1 } }
+            )
+            .sort({ paidAt: 1, _id: 1 })
+            .toArray();
+
+          const changes = orders
+            .map((order, i) => ({
+              ...order,
+              newInvoiceNumber: formatInvoiceNumber(order.paidAt, i + 1),
+            }))
+            .filter((order) => order.invoiceNumber !== order.newInvoiceNumber);
+
+          if (isDryRun(req)) {
+            return res.send(dryRunPreview(changes));
+          }
+
+          if (changes.length) {
+            await ordersCollection.bulkWrite(
+              changes.map((order) => ({
+                updateOne: {
+                  filter: { _id: order._id },
+                  update: {
+                    $set: {
+                      invoiceNumber: order.newInvoiceNumber,
+                      // Keep the number printed on receipts already issued
+                      ...(order.invoiceNumber && {
+                        previousInvoiceNumber: order.invoiceNumber,
+                      }),
+                    },
+                  },
+                },
+              }))
+            );
+          }
+
+          await countersCollection.updateOne(
+            { _id: "invoice" },
+            { $set: { seq: orders.length } },
+            { upsert: true }
+          );
+
+          console.log(`🔢 Renumbered ${changes.length} invoices`);
+          await audit(
+            req,
+            "orders.backfill_invoice_numbers",
+            { type: "order", id: "bulk" },
+            {
+              before: changes.map(({ _id, invoiceNumber }) => ({
+                _id,
+                invoiceNumber,
+              })),
+              meta: { renumbered: changes.length, total: orders.length },
+            }
+          );
+
+          res.send({
+            message: `Renumbered ${changes.length} of ${orders.length} invoices`,
+            renumbered: changes.length,
+            total: orders.length,
+          });
+        } catch (error) {
+          console.error("Error backfilling invoice numbers:", error);
+          res
+            .status(500)
+            .send({ message: "Failed to backfill invoice numbers" });
+        }
+      }
+    );
+
     // ✅ Fix old transactions with missing/invalid amounts (ADMIN ONLY)
     app.post(
       "/admin/fix-transactions",
       verifyJWT,
-      verifyADMIN,
+      requirePermission("system:manage"),
       async (req, res) => {
         try {
           console.log("🔧 Starting transaction fix...");
 
           // Find all transactions with invalid amounts in NEW structure
+          const filter = {
+            applicationId: { $exists: true }, // Only new structure
+            $or: [
+              { amount: { $exists: false } },
+              { amount: null },
+              { amount: 0 },
+            ],
+          };
           const invalidTransactions = await ordersCollection
-            .find({
-              applicationId: { $exists: true }, // Only new structure
-              $or: [
-                { amount: { $exists: false } },
-                { amount: null },
-                { amount: 0 },
-              ],
-            })
+            .find(filter)
             .toArray();
 
           console.log(
@@ -1331,6 +8553,17 @@ async function run() {
             }
           }
 
+          await audit(
+            req,
+            "orders.fix_amounts",
+            { type: "order", id: "bulk" },
+            {
+              before: invalidTransactions,
+              filter,
+              meta: { fixed: fixedCount, total: invalidTransactions.length },
+            }
+          );
+
           res.send({
             message: `Fixed ${fixedCount} out of ${invalidTransactions.length} transactions`,
             fixed: fixedCount,
@@ -1343,23 +8576,128 @@ async function run() {
       }
     );
 
+    // ✅ Migrate tuitions to the typed schema (ADMIN ONLY)
+    // Converts string budgets like "5,000" to numbers so budget sorting in
+    // /tuitions/search is numeric, and canonicalizes enum fields.
+    app.post(
+      "/admin/migrate-tuitions",
+      verifyJWT,
+      requirePermission("system:manage"),
+      async (req, res) => {
+        try {
+          console.log("🔧 Starting tuition schema migration...");
+
+          const typedFields = [
+            "budget",
+            "daysPerWeek",
+            "medium",
+            "preferredTutorGender",
+          ];
+          const cursor = tuitionsCollection.find(
+            {},
+            {
+              projection: Object.fromEntries(
+                [...typedFields, "location", "geo"].map((f) => [f, 1])
+              ),
+            }
+          );
+
+          let migrated = 0;
+          const failed = [];
+
+          for await (const tuition of cursor) {
+            const update = {};
+            const errors = {};
+
+            for (const field of typedFields) {
+              const raw = tuition[field];
+              if (raw === undefined || raw === null || raw === "") continue;
+
+              const result = coerceField(TUITION_SCHEMA[field], raw);
+              if (result.error) errors[field] = result.error;
+              else if (result.value !== raw) update[field] = result.value;
+            }
+
+            // Place tuitions posted before coordinates existed
+            const place = !tuition.geo && geocodeLocation(tuition.location);
+            if (place) {
+              update.geo = place.geo;
+              update.area = place.area;
+              update.geoSource = "gazetteer";
+            }
+
+            if (Object.keys(update).length) {
+              await tuitionsCollection.updateOne(
+                { _id: tuition._id },
+                { $set: update }
+              );
+              migrated++;
+            }
+            if (Object.keys(errors).length) {
+              failed.push({ _id: tuition._id, errors });
+            }
+          }
+
+          console.log(
+            `✅ Migrated ${migrated} tuitions, ${failed.length} failed`
+          );
+          await audit(
+            req,
+            "tuitions.migrate",
+            { type: "tuition", id: "bulk" },
+            { meta: { migrated, failed: failed.length } }
+          );
+
+          res.send({
+            message: `Migrated ${migrated} tuitions`,
+            migrated,
+            failed,
+          });
+        } catch (error) {
+          console.error("Error migrating tuitions:", error);
+          res.status(500).send({ message: "Failed to migrate tuitions" });
+        }
+      }
+    );
+
     // ✅ Delete invalid transactions (ADMIN ONLY - use with caution)
+    // ?dryRun=true previews the orders that would be deleted
     app.delete(
       "/admin/delete-invalid-transactions",
       verifyJWT,
-      verifyADMIN,
+      requirePermission("system:manage"),
       async (req, res) => {
         try {
-          const result = await ordersCollection.deleteMany({
+          const filter = {
             applicationId: { $exists: true }, // Only new structure
             $or: [
               { amount: { $exists: false } },
               { amount: null },
               { amount: 0 },
             ],
+          };
+          const invalid = await ordersCollection.find(filter).toArray();
+
+          if (isDryRun(req)) {
+            return res.send(dryRunPreview(invalid));
+          }
+
+          const result = await ordersCollection.deleteMany({
+            ...filter,
+            _id: { $in: invalid.map((t) => t._id) },
           });
 
           console.log(`🗑️ Deleted ${result.deletedCount} invalid transactions`);
+          await audit(
+            req,
+            "orders.delete_invalid",
+            { type: "order", id: "bulk" },
+            {
+              before: invalid,
+              filter,
+              meta: { deleted: result.deletedCount },
+            }
+          );
 
           res.send({
             message: `Deleted ${result.deletedCount} invalid transactions`,